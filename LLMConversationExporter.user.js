@@ -2,15 +2,21 @@
 // @name         LLM Conversation Exporter
 // @namespace    http://tampermonkey.net/
 // @version      1.2.1
-// @description  Extracts the conversation using a failsafe text-search anchor.
+// @description  Extracts the conversation from the page's network traffic, with the page and a failsafe text-search anchor as fallbacks.
 // @author       SS, Gemini
 // @match        https://gemini.google.com/*
 // @match        https://chat.openai.com/*
 // @match        https://chatgpt.com/*
+// @match        https://claude.ai/*
+// @match        https://www.perplexity.ai/*
+// @match        https://perplexity.ai/*
+// @match        https://chat.mistral.ai/*
 // @downloadURL  https://raw.githubusercontent.com/sam-siddiqui/jerryscripts/refs/heads/master/LLMConversationExporter.user.js
 // @updateURL    https://raw.githubusercontent.com/sam-siddiqui/jerryscripts/refs/heads/master/LLMConversationExporter.user.js
 // @grant        GM_setValue
 // @grant        GM_getValue
+// @grant        unsafeWindow
+// @run-at       document-start
 // ==/UserScript==
 
 (function () {
@@ -36,40 +42,242 @@ Answer concisely and accurately.
   let dynamicContext = ContextPrefix + DYNAMIC_CONTEXT + Suffix;
 
   // 3. INJECTION MODE
-  let INJECTION_MODE = 'EVERY_MESSAGE'; // Options: 'EVERY_MESSAGE' | 'FIRST_MESSAGE_ONLY'
+  //    Defaults for new profiles, each profile picks its own mode in the ⚙️ modal.
+  let INJECTION_MODE = 'EVERY_MESSAGE'; // Options: 'EVERY_MESSAGE' | 'FIRST_MESSAGE_ONLY' | 'EVERY_N_MESSAGES'
+  let REFRESH_INTERVAL = 10;            // For 'EVERY_N_MESSAGES': re-inject every N user messages
 
   // 4. LIMITS
   const MAX_INSTRUCTION_SIZE = 4096; // Reserve ~4k for instructions
   const HARD_CRASH_LIMIT = 36000;    // The server rejects payloads > ~36.6k
 
   // Internal State
+  // With GM_* grants the script runs sandboxed, so fetch has to be patched on the page's window
+  const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+  const ogOpen = XMLHttpRequest.prototype.open;
   const ogSend = XMLHttpRequest.prototype.send;
-  let shouldInject = true;
-  const STORAGE_KEY_SYSTEM = 'gemini_custom_system';
+  const ogFetch = pageWindow.fetch;
+  const CHATGPT_HOSTS = ['chatgpt.com', 'chat.openai.com'];
+  const CHATGPT_CONVERSATION_ENDPOINT = /^\/backend-api\/(f\/)?conversation$/;
+  let shouldInject = true; // Cleared when the default config is invalid
+  const STORAGE_KEY_SYSTEM = 'gemini_custom_system';   // Pre-profile storage, only read to migrate
   const instructions_input_id = 'ctx-system-input';
   const context_input_id = 'ctx-memory-input';
-  const counter_input_id = 'ctx-usage-counter';
-  const STORAGE_KEY_CONTEXT = 'gemini_custom_context';
+  const usage_meter_id = 'ctx-usage-meter';
+  const preview_message_id = 'ctx-preview-message';
+  const profile_select_id = 'ctx-profile-select';
+  const mode_select_id = 'ctx-mode-select';
+  const site_default_id = 'ctx-site-default';
+  const settings_button_id = 'ctx-settings-btn';
+  const STORAGE_KEY_CONTEXT = 'gemini_custom_context'; // Pre-profile storage, only read to migrate
+  const STORAGE_KEY_PROFILES = 'ctx_profiles';
+  const STORAGE_KEY_BINDINGS = 'ctx_conversation_bindings';
+  const binding_summary_id = 'ctx-binding-summary';
+  const binding_profile_id = 'ctx-binding-profile';
+  const binding_context_id = 'ctx-binding-context';
+  const refresh_interval_id = 'ctx-refresh-interval';
+  const STORAGE_KEY_INJECTION_STATE = 'ctx_injection_state';
+  const template_vars_id = 'ctx-template-vars';
+  const STORAGE_KEY_TEMPLATE_VARS = 'ctx_template_vars';
+  const notes_tags_id = 'ctx-notes-tags';
+  const notes_filename_id = 'ctx-notes-filename';
+  const STORAGE_KEY_NOTES_EXPORT = 'ctx_notes_export';
+  const redaction_mode_id = 'ctx-redaction-mode';
+  const redaction_rules_id = 'ctx-redaction-rules';
+  const STORAGE_KEY_REDACTION = 'ctx_redaction';
+  const STORAGE_KEY_REDACTION_SALT = 'ctx_redaction_salt';
+  const memory_enabled_id = 'ctx-memory-enabled';
+  const memory_tag_id = 'ctx-memory-tag';
+  const memory_facts_id = 'ctx-memory-facts';
+  const STORAGE_KEY_AUTO_MEMORY = 'ctx_auto_memory';
+  const guard_enabled_id = 'ctx-guard-enabled';
+  const guard_min_turns_id = 'ctx-guard-min-turns';
+  const guard_auto_export_id = 'ctx-guard-auto-export';
+  const guard_save_drafts_id = 'ctx-guard-save-drafts';
+  const STORAGE_KEY_SAFETY_GUARD = 'ctx_safety_guard';
+  const STORAGE_KEY_DRAFTS = 'ctx_drafts';
+  const snippet_select_id = 'ctx-snippet-select';
+  const snippet_name_id = 'ctx-snippet-name';
+  const snippet_tags_id = 'ctx-snippet-tags';
+  const snippet_body_id = 'ctx-snippet-body';
+  const STORAGE_KEY_SNIPPETS = 'ctx_snippets';
 
   // --- [VALIDATION] ---
-  const totalInstructionSize = systemInstructions.length + dynamicContext.length;
-  if (totalInstructionSize > MAX_INSTRUCTION_SIZE) {
-    console.error(`[ContextInjector] CONFIG ERROR: Instructions are too long! (${totalInstructionSize}/${MAX_INSTRUCTION_SIZE})`);
-    shouldInject = false;
-  } else {
-    console.log(`[ContextInjector] Config Valid. Instructions size: ${totalInstructionSize} chars.`);
+  function validateConfig() {
+    const totalInstructionSize = systemInstructions.length + dynamicContext.length;
+    if (totalInstructionSize > MAX_INSTRUCTION_SIZE) {
+      console.error(`[ContextInjector] CONFIG ERROR: Instructions are too long! (${totalInstructionSize}/${MAX_INSTRUCTION_SIZE})`);
+      shouldInject = false;
+    } else {
+      console.log(`[ContextInjector] Config Valid. Instructions size: ${totalInstructionSize} chars.`);
+      shouldInject = true;
+    }
+  }
+
+  validateConfig();
+
+  // --- [PROFILES] ---
+  // Profiles live in GM storage so they follow us across every supported site.
+  // Shape: { activeProfileId, profiles: { [id]: { id, name, instructions, context, injectionMode, refreshInterval, sites: [hostname] } } }
+  let sessionProfileId = null; // Profile picked in this tab, wins over site defaults until reload
+
+  function createProfile(name, fields = {}) {
+    return {
+      id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      instructions: SYSTEM_INSTRUCTIONS,
+      context: DYNAMIC_CONTEXT,
+      injectionMode: INJECTION_MODE,
+      refreshInterval: REFRESH_INTERVAL,
+      sites: [],
+      ...fields,
+    };
+  }
+
+  function loadProfileStore() {
+    let store = GM_getValue(STORAGE_KEY_PROFILES, null);
+    if (!store || !store.profiles || Object.keys(store.profiles).length === 0) {
+      // First run: carry over the single prompt and memory saved by older versions
+      const profile = createProfile('Default', {
+        instructions: localStorage.getItem(STORAGE_KEY_SYSTEM) || SYSTEM_INSTRUCTIONS,
+        context: localStorage.getItem(STORAGE_KEY_CONTEXT) || DYNAMIC_CONTEXT,
+      });
+      store = { activeProfileId: profile.id, profiles: { [profile.id]: profile } };
+      GM_setValue(STORAGE_KEY_PROFILES, store);
+    }
+    return store;
+  }
+
+  function saveProfileStore(store) {
+    GM_setValue(STORAGE_KEY_PROFILES, store);
+  }
+
+  /**
+   * Picks the profile for a site: the one chosen in this tab, else the site's default, else the last used one.
+   */
+  function resolveActiveProfileId(store, hostname) {
+    if (store.profiles[sessionProfileId]) {
+      return sessionProfileId;
+    }
+    const siteDefault = Object.values(store.profiles).find((profile) => profile.sites.includes(hostname));
+    if (siteDefault) {
+      return siteDefault.id;
+    }
+    return store.profiles[store.activeProfileId] ? store.activeProfileId : Object.keys(store.profiles)[0];
+  }
+
+  // --- [CONVERSATION BINDINGS] ---
+  // A conversation can pin a profile and/or carry extra context on top of it.
+  // Shape: { ["platform:conversationId"]: { profileId, extraContext, title, updatedAt } }
+
+  function getConversationKey() {
+    const conversationId = getConversationId(activeAdapter, window.location.pathname);
+    return conversationId ? `${activeAdapter.platform}:${conversationId}` : '';
+  }
+
+  function getConversationBinding(conversationKey) {
+    return conversationKey ? GM_getValue(STORAGE_KEY_BINDINGS, {})[conversationKey] || null : null;
+  }
+
+  function saveConversationBinding(conversationKey, binding) {
+    const bindings = GM_getValue(STORAGE_KEY_BINDINGS, {});
+    if (binding && (binding.profileId || binding.extraContext.trim())) {
+      bindings[conversationKey] = { ...binding, updatedAt: new Date().toISOString() };
+    } else {
+      delete bindings[conversationKey];
+    }
+    GM_setValue(STORAGE_KEY_BINDINGS, bindings);
+  }
+
+  /**
+   * Resolves what should be injected into the open chat: a pinned profile wins over the tab/site/last-used one,
+   * and the conversation's extra context is appended to the profile's memory. The auto-memory facts come
+   * separately, they are appended after template expansion so a fact can't pull in {{clipboard}} and the like.
+   * @returns {{profile: Object, binding: Object | null, context: string, memory: string}}
+   */
+  function resolvePageContext() {
+    const store = loadProfileStore();
+    const binding = getConversationBinding(getConversationKey());
+    const profileId = binding && store.profiles[binding.profileId]
+      ? binding.profileId
+      : resolveActiveProfileId(store, window.location.hostname);
+    const profile = store.profiles[profileId];
+    const context = joinContext(profile.context, binding?.extraContext);
+
+    return { profile, binding, context, memory: getMemoryContext() };
+  }
+
+  function joinContext(...parts) {
+    return parts.filter((part) => part && part.trim()).join('\n');
+  }
+
+  /**
+   * Describes which bindings apply to the open chat, e.g. 'Pinned profile "Tutor" + 120 chars of extra context'.
+   */
+  function describeBinding(binding, profiles) {
+    if (!binding) return 'No bindings for this conversation.';
+
+    const parts = [];
+    if (binding.profileId && profiles[binding.profileId]) {
+      parts.push(`Pinned profile "${profiles[binding.profileId].name}"`);
+    } else if (binding.profileId) {
+      parts.push('Pinned profile was deleted');
+    }
+    if (binding.extraContext && binding.extraContext.trim()) {
+      parts.push(`${binding.extraContext.trim().length} chars of extra context`);
+    }
+    return parts.length ? parts.join(' + ') : 'No bindings for this conversation.';
   }
 
-  function createConfigurationModal(instructions_id, context_id, counter_id) {
+  function updateSettingsButton() {
+    const btn = document.getElementById(settings_button_id);
+    if (!btn) return;
+    const { profile, binding } = resolvePageContext();
+    // 📌 shows that this conversation has its own bindings
+    btn.innerText = `⚙️ ${binding ? '📌 ' : ''}${profile.name}`;
+    btn.title = `Configure Context (Profile: ${profile.name})${binding ? `\n${describeBinding(binding, loadProfileStore().profiles)}` : ''}`;
+  }
+
+  function createConfigurationModal(instructions_id, context_id, meter_id) {
     const container = document.createElement('div');
+    const smallBtnStyle = {
+      padding: '4px 10px', borderRadius: '12px', border: '1px solid #444746',
+      background: 'transparent', color: '#e3e3e3', cursor: 'pointer'
+    };
+    const selectStyle = {
+      background: '#2b2d30', color: '#fff', border: '1px solid #444746', borderRadius: '6px', padding: '4px 8px'
+    };
 
     // 1. Header
     const header = document.createElement('h2');
-    header.textContent = 'Gemini Context Configuration';
+    header.textContent = 'Context Configuration';
     Object.assign(header.style, { margin: '0 0 10px 0', fontSize: '1.5rem' });
     container.appendChild(header);
 
-    // 2. Static Instructions Section
+    // 2. Profile Switcher
+    const profileRow = document.createElement('div');
+    Object.assign(profileRow.style, { display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' });
+
+    const profileLabel = document.createElement('label');
+    profileLabel.textContent = 'Profile';
+    profileLabel.htmlFor = profile_select_id;
+    Object.assign(profileLabel.style, { fontWeight: 'bold', color: '#8ab4f8' });
+
+    const profileSelect = document.createElement('select');
+    profileSelect.id = profile_select_id;
+    Object.assign(profileSelect.style, selectStyle, { flex: '1' });
+
+    profileRow.append(profileLabel, profileSelect);
+    [['New', 'ctx-profile-new'], ['Duplicate', 'ctx-profile-duplicate'], ['Rename', 'ctx-profile-rename'], ['Delete', 'ctx-profile-delete']]
+      .forEach(([text, id]) => {
+        const btn = document.createElement('button');
+        btn.id = id;
+        btn.textContent = text;
+        Object.assign(btn.style, smallBtnStyle);
+        profileRow.appendChild(btn);
+      });
+    container.appendChild(profileRow);
+
+    // 3. Static Instructions Section
     const staticDiv = document.createElement('div');
     const staticLabel = document.createElement('label');
     staticLabel.textContent = 'Static Instructions (Persona)';
@@ -86,7 +294,59 @@ Answer concisely and accurately.
     staticDiv.append(staticLabel, staticTextarea);
     container.appendChild(staticDiv);
 
-    // 3. Dynamic Context Section
+    // 4. Prompt Library
+    const snippetDiv = document.createElement('div');
+    const snippetLabel = document.createElement('label');
+    snippetLabel.textContent = 'Prompt Library';
+    snippetLabel.htmlFor = snippet_select_id;
+    Object.assign(snippetLabel.style, { display: 'block', marginBottom: '5px', fontWeight: 'bold', color: '#8ab4f8' });
+
+    const snippetHelp = document.createElement('div');
+    snippetHelp.textContent = 'Type /name as a message to insert a prompt. Built-ins and template variables are filled in, ' +
+      'any other {{parameter}} is asked for.';
+    Object.assign(snippetHelp.style, { fontSize: '0.8rem', color: '#c4c7c5', marginBottom: '5px' });
+
+    const snippetRow = document.createElement('div');
+    Object.assign(snippetRow.style, { display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '6px' });
+    const snippetSelect = document.createElement('select');
+    snippetSelect.id = snippet_select_id;
+    Object.assign(snippetSelect.style, selectStyle, { flex: '1' });
+    snippetRow.appendChild(snippetSelect);
+    [['New', 'ctx-snippet-new'], ['Delete', 'ctx-snippet-delete'], ['Import', 'ctx-snippet-import'], ['Export', 'ctx-snippet-export']]
+      .forEach(([text, id]) => {
+        const btn = document.createElement('button');
+        btn.id = id;
+        btn.textContent = text;
+        Object.assign(btn.style, smallBtnStyle);
+        snippetRow.appendChild(btn);
+      });
+
+    const snippetFieldsRow = document.createElement('div');
+    Object.assign(snippetFieldsRow.style, { display: 'flex', gap: '8px', marginBottom: '6px' });
+    const snippetNameInput = document.createElement('input');
+    snippetNameInput.id = snippet_name_id;
+    snippetNameInput.placeholder = 'name, typed as /name';
+    const snippetTagsInput = document.createElement('input');
+    snippetTagsInput.id = snippet_tags_id;
+    snippetTagsInput.placeholder = 'review, refactor';
+    [snippetNameInput, snippetTagsInput].forEach((input) => {
+      Object.assign(input.style, selectStyle, { flex: '1', minWidth: '0' });
+    });
+    snippetFieldsRow.append(snippetNameInput, snippetTagsInput);
+
+    const snippetTextarea = document.createElement('textarea');
+    snippetTextarea.id = snippet_body_id;
+    snippetTextarea.rows = 4;
+    snippetTextarea.placeholder = 'Review this {{language}} code for bugs and readability:\n\n{{selection}}';
+    Object.assign(snippetTextarea.style, {
+      width: '100%', background: '#2b2d30', color: '#fff', border: '1px solid #444746',
+      borderRadius: '6px', padding: '10px', resize: 'vertical', fontFamily: 'monospace'
+    });
+
+    snippetDiv.append(snippetLabel, snippetHelp, snippetRow, snippetFieldsRow, snippetTextarea);
+    container.appendChild(snippetDiv);
+
+    // 5. Dynamic Context Section
     const dynamicDiv = document.createElement('div');
     const dynamicLabel = document.createElement('label');
     dynamicLabel.textContent = 'Dynamic Context (Memory)';
@@ -103,18 +363,270 @@ Answer concisely and accurately.
     dynamicDiv.append(dynamicLabel, dynamicTextarea);
     container.appendChild(dynamicDiv);
 
-    // 4. Counter Info
-    const counterDiv = document.createElement('div');
-    counterDiv.textContent = 'Context Usage: ';
-    Object.assign(counterDiv.style, { fontSize: '0.85rem', color: '#c4c7c5' });
+    // 6. Auto-Memory
+    const memoryDiv = document.createElement('div');
+    const memoryLabel = document.createElement('label');
+    memoryLabel.textContent = 'Auto-Memory';
+    Object.assign(memoryLabel.style, { display: 'block', marginBottom: '5px', fontWeight: 'bold', color: '#8ab4f8' });
+
+    const memoryRow = document.createElement('div');
+    Object.assign(memoryRow.style, { display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '0.9rem', marginBottom: '5px' });
+
+    const memoryEnabledLabel = document.createElement('label');
+    Object.assign(memoryEnabledLabel.style, { cursor: 'pointer' });
+    const memoryEnabledCheckbox = document.createElement('input');
+    memoryEnabledCheckbox.type = 'checkbox';
+    memoryEnabledCheckbox.id = memory_enabled_id;
+    memoryEnabledLabel.append(memoryEnabledCheckbox, ' Remember facts tagged in replies as');
+
+    const memoryTagInput = document.createElement('input');
+    memoryTagInput.id = memory_tag_id;
+    memoryTagInput.placeholder = DEFAULT_AUTO_MEMORY.tag;
+    Object.assign(memoryTagInput.style, selectStyle, { width: '110px' });
+
+    const memoryClearBtn = document.createElement('button');
+    memoryClearBtn.id = 'ctx-memory-clear';
+    memoryClearBtn.textContent = 'Clear all';
+    Object.assign(memoryClearBtn.style, smallBtnStyle, { marginLeft: 'auto' });
+
+    memoryRow.append(memoryEnabledLabel, memoryTagInput, memoryClearBtn);
+
+    const memoryHelp = document.createElement('div');
+    memoryHelp.textContent = 'Facts are injected after the memory above, the oldest are dropped to stay within the size limit. ' +
+      'Highlight text in a reply and click "🧠 Remember" to add it by hand.';
+    Object.assign(memoryHelp.style, { fontSize: '0.8rem', color: '#c4c7c5', marginBottom: '5px' });
+
+    const memoryFacts = document.createElement('div');
+    memoryFacts.id = memory_facts_id;
+    Object.assign(memoryFacts.style, {
+      maxHeight: '150px', overflowY: 'auto', background: '#2b2d30', border: '1px solid #444746',
+      borderRadius: '6px', padding: '6px 10px', fontSize: '0.85rem'
+    });
+
+    memoryDiv.append(memoryLabel, memoryRow, memoryHelp, memoryFacts);
+    container.appendChild(memoryDiv);
+
+    // 7. Injection Mode & Site Default
+    const optionsRow = document.createElement('div');
+    Object.assign(optionsRow.style, { display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '0.9rem' });
+
+    const modeLabel = document.createElement('label');
+    modeLabel.textContent = 'Injection Mode';
+    modeLabel.htmlFor = mode_select_id;
+
+    const modeSelect = document.createElement('select');
+    modeSelect.id = mode_select_id;
+    Object.assign(modeSelect.style, selectStyle);
+    modeSelect.add(new Option('Every message', 'EVERY_MESSAGE'));
+    modeSelect.add(new Option('First message only', 'FIRST_MESSAGE_ONLY'));
+    modeSelect.add(new Option('Every N messages', 'EVERY_N_MESSAGES'));
+
+    const intervalInput = document.createElement('input');
+    intervalInput.type = 'number';
+    intervalInput.id = refresh_interval_id;
+    intervalInput.min = '1';
+    intervalInput.title = 'N: re-inject every N messages';
+    Object.assign(intervalInput.style, selectStyle, { width: '60px' });
+
+    const siteDefaultLabel = document.createElement('label');
+    Object.assign(siteDefaultLabel.style, { marginLeft: 'auto', cursor: 'pointer' });
+    const siteDefaultCheckbox = document.createElement('input');
+    siteDefaultCheckbox.type = 'checkbox';
+    siteDefaultCheckbox.id = site_default_id;
+    siteDefaultLabel.append(siteDefaultCheckbox, ` Default on ${window.location.hostname}`);
+
+    optionsRow.append(modeLabel, modeSelect, intervalInput, siteDefaultLabel);
+    container.appendChild(optionsRow);
+
+    // 8. Conversation Bindings
+    const bindingDiv = document.createElement('div');
+    Object.assign(bindingDiv.style, { borderTop: '1px solid #444746', paddingTop: '10px' });
+
+    const bindingLabel = document.createElement('label');
+    bindingLabel.textContent = 'This Conversation';
+    Object.assign(bindingLabel.style, { display: 'block', marginBottom: '5px', fontWeight: 'bold', color: '#8ab4f8' });
+
+    const bindingSummary = document.createElement('div');
+    bindingSummary.id = binding_summary_id;
+    Object.assign(bindingSummary.style, { fontSize: '0.85rem', color: '#c4c7c5', marginBottom: '5px' });
+
+    const bindingProfileRow = document.createElement('div');
+    Object.assign(bindingProfileRow.style, { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.9rem', marginBottom: '5px' });
+    const bindingProfileLabel = document.createElement('label');
+    bindingProfileLabel.textContent = 'Pin profile';
+    bindingProfileLabel.htmlFor = binding_profile_id;
+    const bindingProfileSelect = document.createElement('select');
+    bindingProfileSelect.id = binding_profile_id;
+    Object.assign(bindingProfileSelect.style, selectStyle);
+    bindingProfileRow.append(bindingProfileLabel, bindingProfileSelect);
+
+    const bindingTextarea = document.createElement('textarea');
+    bindingTextarea.id = binding_context_id;
+    bindingTextarea.rows = 2;
+    bindingTextarea.placeholder = 'Extra context for this conversation only';
+    Object.assign(bindingTextarea.style, {
+      width: '100%', background: '#2b2d30', color: '#fff', border: '1px solid #444746',
+      borderRadius: '6px', padding: '10px', resize: 'vertical', fontFamily: 'monospace'
+    });
+
+    bindingDiv.append(bindingLabel, bindingSummary, bindingProfileRow, bindingTextarea);
+    container.appendChild(bindingDiv);
+
+    // 9. Template Variables
+    const varsDiv = document.createElement('div');
+    const varsLabel = document.createElement('label');
+    varsLabel.textContent = 'Template Variables';
+    Object.assign(varsLabel.style, { display: 'block', marginBottom: '5px', fontWeight: 'bold', color: '#8ab4f8' });
+
+    const varsHelp = document.createElement('div');
+    varsHelp.textContent = 'One name=value per line, used as {{name}}. Built-in: {{date}} {{time}} {{datetime}} {{page_title}} {{url}} ' +
+      '{{clipboard}} {{selection}} {{profile}}. Conditional: {{#if code}}…{{else}}…{{/if}}, {{#if contains "text"}}, {{#if matches /regex/i}}, {{#unless …}}.';
+    Object.assign(varsHelp.style, { fontSize: '0.8rem', color: '#c4c7c5', marginBottom: '5px' });
+
+    const varsTextarea = document.createElement('textarea');
+    varsTextarea.id = template_vars_id;
+    varsTextarea.rows = 2;
+    varsTextarea.placeholder = 'team=Platform\nlanguage=TypeScript';
+    Object.assign(varsTextarea.style, {
+      width: '100%', background: '#2b2d30', color: '#fff', border: '1px solid #444746',
+      borderRadius: '6px', padding: '10px', resize: 'vertical', fontFamily: 'monospace'
+    });
+
+    varsDiv.append(varsLabel, varsHelp, varsTextarea);
+    container.appendChild(varsDiv);
+
+    // 10. Notes Export
+    const notesDiv = document.createElement('div');
+    const notesLabel = document.createElement('label');
+    notesLabel.textContent = 'Notes Export (Obsidian/Logseq)';
+    Object.assign(notesLabel.style, { display: 'block', marginBottom: '5px', fontWeight: 'bold', color: '#8ab4f8' });
+
+    const notesHelp = document.createElement('div');
+    notesHelp.textContent = 'Tags for the frontmatter, comma separated. File name placeholders: {{title}} {{date}} {{time}} {{platform}} {{id}} {{model}}.';
+    Object.assign(notesHelp.style, { fontSize: '0.8rem', color: '#c4c7c5', marginBottom: '5px' });
+
+    const notesTagsInput = document.createElement('input');
+    notesTagsInput.id = notes_tags_id;
+    notesTagsInput.placeholder = 'ai-chat, research';
+    const notesFilenameInput = document.createElement('input');
+    notesFilenameInput.id = notes_filename_id;
+    notesFilenameInput.placeholder = DEFAULT_NOTES_EXPORT.filenameTemplate;
+    [notesTagsInput, notesFilenameInput].forEach((input) => {
+      Object.assign(input.style, selectStyle, { width: '100%', marginBottom: '6px', boxSizing: 'border-box' });
+    });
+
+    notesDiv.append(notesLabel, notesHelp, notesTagsInput, notesFilenameInput);
+    container.appendChild(notesDiv);
+
+    // 11. Redaction
+    const redactionDiv = document.createElement('div');
+    const redactionLabel = document.createElement('label');
+    redactionLabel.textContent = 'Redaction';
+    Object.assign(redactionLabel.style, { display: 'block', marginBottom: '5px', fontWeight: 'bold', color: '#8ab4f8' });
+
+    const redactionRow = document.createElement('div');
+    Object.assign(redactionRow.style, { display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '6px' });
+
+    const redactionModeSelect = document.createElement('select');
+    redactionModeSelect.id = redaction_mode_id;
+    [['off', 'Off'], ['mask', 'Mask'], ['hash', 'Hash (consistent)'], ['block', 'Block & review']].forEach(([value, text]) => {
+      redactionModeSelect.add(new Option(text, value));
+    });
+    Object.assign(redactionModeSelect.style, selectStyle);
+    redactionRow.appendChild(redactionModeSelect);
+
+    // One checkbox per scope and per built-in detector
+    const redactionCheckboxes = [['applyToExports', 'Exports'], ['applyToInjection', 'Injected context']]
+      .concat(Object.entries(REDACTION_DETECTORS).map(([name, detector]) => [`detector:${name}`, detector.label]));
+    redactionCheckboxes.forEach(([key, text]) => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.redaction = key;
+      label.append(checkbox, ` ${text}`);
+      Object.assign(label.style, { fontSize: '0.85rem', color: '#c4c7c5', cursor: 'pointer' });
+      redactionRow.appendChild(label);
+    });
+
+    const redactionRules = document.createElement('textarea');
+    redactionRules.id = redaction_rules_id;
+    redactionRules.rows = 2;
+    redactionRules.placeholder = 'One rule per line, e.g.\nhostname=/\\b[\\w-]+\\.acme\\.io\\b/i';
+    Object.assign(redactionRules.style, {
+      width: '100%', background: '#2b2d30', color: '#fff', border: '1px solid #444746',
+      borderRadius: '6px', padding: '10px', resize: 'vertical', fontFamily: 'monospace'
+    });
+
+    redactionDiv.append(redactionLabel, redactionRow, redactionRules);
+    container.appendChild(redactionDiv);
+
+    // 12. Safety Guard
+    const guardDiv = document.createElement('div');
+    const guardLabel = document.createElement('label');
+    guardLabel.textContent = 'Safety Guard';
+    Object.assign(guardLabel.style, { display: 'block', marginBottom: '5px', fontWeight: 'bold', color: '#8ab4f8' });
+
+    const guardRow = document.createElement('div');
+    Object.assign(guardRow.style, { display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', fontSize: '0.85rem', color: '#c4c7c5' });
+
+    const guardMinTurns = document.createElement('input');
+    guardMinTurns.type = 'number';
+    guardMinTurns.id = guard_min_turns_id;
+    guardMinTurns.min = '1';
+    guardMinTurns.title = 'Guard conversations with at least this many turns';
+    Object.assign(guardMinTurns.style, selectStyle, { width: '60px' });
+
+    const guardCheckbox = (text, setup) => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      setup(checkbox);
+      label.append(checkbox, ` ${text}`);
+      Object.assign(label.style, { cursor: 'pointer' });
+      return label;
+    };
+    guardRow.append(
+      guardCheckbox('Guard conversations with at least', (checkbox) => { checkbox.id = guard_enabled_id; }),
+      guardMinTurns,
+      'turns, catching:',
+      ...Object.entries(GUARD_SHORTCUTS).map(([name, shortcut]) =>
+        guardCheckbox(shortcut.label, (checkbox) => { checkbox.dataset.guardShortcut = name; })),
+      guardCheckbox('Also export a Markdown copy when leaving', (checkbox) => { checkbox.id = guard_auto_export_id; }),
+      guardCheckbox('Save unsent drafts', (checkbox) => { checkbox.id = guard_save_drafts_id; })
+    );
+
+    guardDiv.append(guardLabel, guardRow);
+    container.appendChild(guardDiv);
+
+    // 13. Usage Meter
+    const meterDiv = document.createElement('div');
+    meterDiv.id = meter_id;
+    Object.assign(meterDiv.style, { fontSize: '0.85rem', color: '#c4c7c5' });
+    container.appendChild(meterDiv);
+
+    // 14. Payload Preview
+    const previewDetails = document.createElement('details');
+    const previewSummary = document.createElement('summary');
+    previewSummary.textContent = 'Preview payload';
+    Object.assign(previewSummary.style, { cursor: 'pointer', fontSize: '0.9rem', color: '#8ab4f8' });
+
+    const previewInput = document.createElement('input');
+    previewInput.id = preview_message_id;
+    previewInput.value = 'Hello!';
+    previewInput.placeholder = 'Sample message';
+    Object.assign(previewInput.style, selectStyle, { width: '100%', margin: '8px 0', boxSizing: 'border-box' });
 
-    const counterSpan = document.createElement('span');
-    counterSpan.id = counter_id;
-    counterSpan.textContent = '0';
-    counterDiv.append(counterSpan, ' / 4000 chars (approx safe limit)');
-    container.appendChild(counterDiv);
+    const previewPre = document.createElement('pre');
+    previewPre.id = `${meter_id}-preview`;
+    Object.assign(previewPre.style, {
+      background: '#2b2d30', borderRadius: '6px', padding: '10px', maxHeight: '200px', overflow: 'auto',
+      whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontSize: '0.8rem', margin: '0'
+    });
+
+    previewDetails.append(previewSummary, previewInput, previewPre);
+    container.appendChild(previewDetails);
 
-    // 5. Button Row
+    // 15. Button Row
     const btnRow = document.createElement('div');
     Object.assign(btnRow.style, { display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '10px' });
 
@@ -134,15 +646,326 @@ Answer concisely and accurately.
     return container;
   }
 
+  // --- Modal State ---
+  // The modal edits a copy of the profile store, which is only written back on Save
+  let draftStore = null;
+  let draftProfileId = null;
+  let draftConversationKey = '';
+  let draftDeletedFacts = new Set(); // Normalized facts deleted in the modal, only applied on Save
+  let draftSnippets = [];
+  let draftSnippetIndex = -1;
+
+  function renderProfileSelect() {
+    const select = document.getElementById(profile_select_id);
+    const bindingSelect = document.getElementById(binding_profile_id);
+    const pinnedProfileId = bindingSelect.value;
+
+    select.innerHTML = '';
+    bindingSelect.innerHTML = '';
+    bindingSelect.add(new Option('(none)', ''));
+    Object.values(draftStore.profiles).forEach((profile) => {
+      select.add(new Option(profile.name, profile.id));
+      bindingSelect.add(new Option(profile.name, profile.id));
+    });
+    select.value = draftProfileId;
+    bindingSelect.value = draftStore.profiles[pinnedProfileId] ? pinnedProfileId : '';
+  }
+
+  function readBindingForm() {
+    return {
+      profileId: document.getElementById(binding_profile_id).value,
+      extraContext: document.getElementById(binding_context_id).value,
+      title: document.title.trim(),
+    };
+  }
+
+  function updateBindingSummary() {
+    const summary = document.getElementById(binding_summary_id);
+    if (!draftConversationKey) {
+      summary.textContent = 'New chat: send a message first, then bindings can be set for it.';
+      return;
+    }
+    const binding = readBindingForm();
+    summary.textContent = `${draftConversationKey} · ${describeBinding(binding, draftStore.profiles)}`;
+  }
+
+  function loadBindingIntoForm() {
+    draftConversationKey = getConversationKey();
+    const binding = getConversationBinding(draftConversationKey);
+    const bindingSelect = document.getElementById(binding_profile_id);
+    const bindingTextarea = document.getElementById(binding_context_id);
+
+    bindingSelect.disabled = bindingTextarea.disabled = !draftConversationKey;
+    bindingSelect.value = binding && draftStore.profiles[binding.profileId] ? binding.profileId : '';
+    bindingTextarea.value = binding ? binding.extraContext : '';
+    updateBindingSummary();
+  }
+
+  function loadProfileIntoForm(profileId) {
+    const profile = draftStore.profiles[profileId];
+    document.getElementById(instructions_input_id).value = profile.instructions;
+    document.getElementById(context_input_id).value = profile.context;
+    document.getElementById(mode_select_id).value = profile.injectionMode;
+    document.getElementById(refresh_interval_id).value = profile.refreshInterval || REFRESH_INTERVAL;
+    document.getElementById(mode_select_id).dispatchEvent(new Event('change'));
+    document.getElementById(site_default_id).checked = profile.sites.includes(window.location.hostname);
+    // Trigger input event to update the usage meter
+    document.getElementById(instructions_input_id).dispatchEvent(new Event('input'));
+  }
+
+  function storeFormIntoProfile(profileId) {
+    const profile = draftStore.profiles[profileId];
+    const hostname = window.location.hostname;
+    profile.instructions = document.getElementById(instructions_input_id).value;
+    profile.context = document.getElementById(context_input_id).value;
+    profile.injectionMode = document.getElementById(mode_select_id).value;
+    profile.refreshInterval = Math.max(1, parseInt(document.getElementById(refresh_interval_id).value, 10) || REFRESH_INTERVAL);
+
+    const isSiteDefault = document.getElementById(site_default_id).checked;
+    profile.sites = profile.sites.filter((site) => site !== hostname);
+    if (isSiteDefault) {
+      // A site can only have one default profile
+      Object.values(draftStore.profiles).forEach((other) => {
+        other.sites = other.sites.filter((site) => site !== hostname);
+      });
+      profile.sites.push(hostname);
+    }
+  }
+
+  function switchDraftProfile(profileId) {
+    draftProfileId = profileId;
+    renderProfileSelect();
+    loadProfileIntoForm(profileId);
+  }
+
+  function addDraftProfile(defaultName, fields) {
+    const name = prompt('Profile name:', defaultName);
+    if (!name || !name.trim()) return;
+
+    storeFormIntoProfile(draftProfileId);
+    const profile = createProfile(name.trim(), fields);
+    draftStore.profiles[profile.id] = profile;
+    switchDraftProfile(profile.id);
+  }
+
+  function loadRedactionIntoForm() {
+    const settings = getRedactionSettings();
+    document.getElementById(redaction_mode_id).value = settings.mode;
+    document.getElementById(redaction_rules_id).value = settings.customRules;
+    document.querySelectorAll('[data-redaction]').forEach((checkbox) => {
+      const key = checkbox.dataset.redaction;
+      checkbox.checked = key.startsWith('detector:')
+        ? !settings.disabledDetectors.includes(key.slice('detector:'.length))
+        : settings[key];
+    });
+  }
+
+  function readRedactionForm() {
+    const settings = {
+      mode: document.getElementById(redaction_mode_id).value,
+      customRules: document.getElementById(redaction_rules_id).value,
+      disabledDetectors: [],
+    };
+    document.querySelectorAll('[data-redaction]').forEach((checkbox) => {
+      const key = checkbox.dataset.redaction;
+      if (!key.startsWith('detector:')) {
+        settings[key] = checkbox.checked;
+      } else if (!checkbox.checked) {
+        settings.disabledDetectors.push(key.slice('detector:'.length));
+      }
+    });
+    return settings;
+  }
+
+  function renderSnippetSelect() {
+    const select = document.getElementById(snippet_select_id);
+    select.innerHTML = '';
+    if (draftSnippets.length === 0) {
+      select.add(new Option('(no prompts yet)', '-1'));
+    }
+    draftSnippets.forEach((snippet, index) => select.add(new Option(`/${snippet.name}`, String(index))));
+    select.value = String(draftSnippetIndex);
+  }
+
+  function loadSnippetIntoForm() {
+    const snippet = draftSnippets[draftSnippetIndex];
+    [snippet_name_id, snippet_tags_id, snippet_body_id].forEach((id) => {
+      document.getElementById(id).disabled = !snippet;
+    });
+    document.getElementById(snippet_name_id).value = snippet ? snippet.name : '';
+    document.getElementById(snippet_tags_id).value = snippet ? snippet.tags.join(', ') : '';
+    document.getElementById(snippet_body_id).value = snippet ? snippet.body : '';
+  }
+
+  function storeFormIntoSnippet() {
+    const snippet = draftSnippets[draftSnippetIndex];
+    if (!snippet) return;
+
+    const nameInput = document.getElementById(snippet_name_id);
+    const name = normalizeSnippetName(nameInput.value);
+    if (name && draftSnippets.some((other) => other !== snippet && other.name === name)) {
+      alert(`There already is a /${name} prompt.`);
+    } else if (name) {
+      snippet.name = name;
+    }
+    nameInput.value = snippet.name;
+    snippet.tags = document.getElementById(snippet_tags_id).value.split(',').map((tag) => tag.trim()).filter(Boolean);
+    snippet.body = document.getElementById(snippet_body_id).value;
+  }
+
+  function switchDraftSnippet(index) {
+    draftSnippetIndex = index;
+    renderSnippetSelect();
+    loadSnippetIntoForm();
+  }
+
+  /**
+   * Merges a shared library file into the draft, imported prompts replace ones with the same name.
+   */
+  async function importSnippets() {
+    const file = await pickFile('.json,application/json');
+    if (!file) return;
+
+    let imported;
+    try {
+      imported = JSON.parse(await file.text());
+    } catch (error) {
+      alert('That file is not a prompt library (invalid JSON).');
+      return;
+    }
+    const snippets = (Array.isArray(imported) ? imported : [])
+      .filter((snippet) => snippet && typeof snippet.body === 'string' && normalizeSnippetName(String(snippet.name || '')))
+      .map((snippet) => ({
+        name: normalizeSnippetName(String(snippet.name)),
+        tags: Array.isArray(snippet.tags) ? snippet.tags.map(String) : [],
+        body: snippet.body,
+      }));
+    if (snippets.length === 0) {
+      alert('No prompts found in that file.');
+      return;
+    }
+
+    storeFormIntoSnippet();
+    snippets.forEach((snippet) => {
+      const existing = draftSnippets.findIndex((other) => other.name === snippet.name);
+      if (existing === -1) {
+        draftSnippets.push(snippet);
+      } else {
+        draftSnippets[existing] = snippet;
+      }
+    });
+    switchDraftSnippet(draftSnippets.findIndex((snippet) => snippet.name === snippets[0].name));
+    alert(`Imported ${snippets.length} prompt(s). Save to keep them.`);
+  }
+
+  function loadSafetyGuardIntoForm() {
+    const settings = getSafetyGuardSettings();
+    document.getElementById(guard_enabled_id).checked = settings.enabled;
+    document.getElementById(guard_min_turns_id).value = settings.minTurns;
+    document.getElementById(guard_auto_export_id).checked = settings.autoExportOnUnload;
+    document.getElementById(guard_save_drafts_id).checked = settings.saveDrafts;
+    document.querySelectorAll('[data-guard-shortcut]').forEach((checkbox) => {
+      checkbox.checked = settings.shortcuts.includes(checkbox.dataset.guardShortcut);
+    });
+  }
+
+  function readSafetyGuardForm() {
+    return {
+      enabled: document.getElementById(guard_enabled_id).checked,
+      minTurns: Math.max(1, parseInt(document.getElementById(guard_min_turns_id).value, 10) || DEFAULT_SAFETY_GUARD.minTurns),
+      shortcuts: [...document.querySelectorAll('[data-guard-shortcut]')]
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => checkbox.dataset.guardShortcut),
+      autoExportOnUnload: document.getElementById(guard_auto_export_id).checked,
+      saveDrafts: document.getElementById(guard_save_drafts_id).checked,
+    };
+  }
+
+  function getDraftMemoryFacts() {
+    return getAutoMemory().facts.filter((fact) => !draftDeletedFacts.has(normalizeFact(fact.text)));
+  }
+
+  function renderMemoryFacts() {
+    const list = document.getElementById(memory_facts_id);
+    const facts = getDraftMemoryFacts();
+    list.innerHTML = '';
+    if (facts.length === 0) {
+      list.textContent = 'Nothing remembered yet.';
+      list.style.color = '#c4c7c5';
+      return;
+    }
+    list.style.color = '';
+
+    facts.slice().reverse().forEach((fact) => {
+      const row = document.createElement('div');
+      Object.assign(row.style, { display: 'flex', alignItems: 'baseline', gap: '8px', padding: '2px 0' });
+
+      const date = document.createElement('span');
+      date.textContent = new Date(fact.addedAt).toLocaleDateString();
+      date.title = `${new Date(fact.addedAt).toLocaleString()} · ${fact.source === 'tag' ? 'tagged in a reply' : 'highlighted'}`;
+      Object.assign(date.style, { color: '#c4c7c5', whiteSpace: 'nowrap' });
+
+      const text = document.createElement('span');
+      text.textContent = fact.text;
+      Object.assign(text.style, { flex: '1', wordBreak: 'break-word' });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = '×';
+      deleteBtn.title = 'Forget this fact';
+      Object.assign(deleteBtn.style, { background: 'transparent', border: 'none', color: '#e3e3e3', cursor: 'pointer' });
+      deleteBtn.onclick = () => {
+        draftDeletedFacts.add(normalizeFact(fact.text));
+        renderMemoryFacts();
+        renderUsageMeter(usage_meter_id);
+      };
+
+      row.append(date, text, deleteBtn);
+      list.appendChild(row);
+    });
+  }
+
+  function loadMemoryIntoForm() {
+    const memory = getAutoMemory();
+    draftDeletedFacts = new Set();
+    document.getElementById(memory_enabled_id).checked = memory.enabled;
+    document.getElementById(memory_tag_id).value = memory.tag;
+    renderMemoryFacts();
+  }
+
+  /**
+   * Writes the modal's auto-memory settings and deletions back, re-checking the size limit against the saved profiles.
+   * Facts remembered while the modal was open are kept.
+   */
+  function saveMemoryForm() {
+    const memory = getAutoMemory();
+    memory.enabled = document.getElementById(memory_enabled_id).checked;
+    memory.tag = document.getElementById(memory_tag_id).value.trim().replace(/[:\[\]]/g, '') || DEFAULT_AUTO_MEMORY.tag;
+    memory.facts = memory.facts.filter((fact) => !draftDeletedFacts.has(normalizeFact(fact.text)));
+    evictOldFacts(memory);
+    GM_setValue(STORAGE_KEY_AUTO_MEMORY, memory);
+  }
+
   function toggleModal() {
     const modal = document.getElementById('gemini-ctx-modal');
     const isHidden = modal.style.display === 'none';
     if (isHidden) {
       // Load current values from Storage before showing
-      document.getElementById('ctx-system-input').value = localStorage.getItem(STORAGE_KEY_SYSTEM) || SYSTEM_INSTRUCTIONS;
-      document.getElementById('ctx-memory-input').value = localStorage.getItem(STORAGE_KEY_CONTEXT) || DYNAMIC_CONTEXT;
-      // Trigger input event to update counter
-      document.getElementById('ctx-system-input').dispatchEvent(new Event('input'));
+      draftStore = JSON.parse(JSON.stringify(loadProfileStore()));
+      // The tab's own profile, a profile pinned to this chat is only changed through the binding controls
+      switchDraftProfile(resolveActiveProfileId(draftStore, window.location.hostname));
+      draftSnippets = getSnippets();
+      switchDraftSnippet(draftSnippets.length ? 0 : -1);
+      loadBindingIntoForm();
+      document.getElementById(template_vars_id).value = Object.entries(GM_getValue(STORAGE_KEY_TEMPLATE_VARS, {}))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('\n');
+      const notesSettings = getNotesExportSettings();
+      document.getElementById(notes_tags_id).value = notesSettings.tags.join(', ');
+      document.getElementById(notes_filename_id).value = notesSettings.filenameTemplate;
+      loadRedactionIntoForm();
+      loadMemoryIntoForm();
+      loadSafetyGuardIntoForm();
+      renderUsageMeter(usage_meter_id);
 
       modal.style.display = 'block';
     } else {
@@ -153,9 +976,10 @@ Answer concisely and accurately.
   function createUI() {
     // 1. Floating Trigger Button
     const btn = document.createElement('button');
+    btn.id = settings_button_id;
     btn.innerText = "⚙️";
     btn.type = "button"
-    btn.title = "Configure Gemini Context";
+    btn.title = "Configure Context";
     Object.assign(btn.style, {
       position: 'fixed',
       top: '15px',
@@ -164,11 +988,16 @@ Answer concisely and accurately.
       backgroundColor: '#1e1f20', // Gemini Dark Gray
       color: '#e3e3e3',
       border: '1px solid #444746',
-      borderRadius: '50%',
-      width: '40px',
+      borderRadius: '20px',
+      minWidth: '40px',
+      maxWidth: '200px',
       height: '40px',
+      padding: '0 10px',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
       cursor: 'pointer',
-      fontSize: '20px',
+      fontSize: '14px',
       boxShadow: '0 2px 5px rgba(0,0,0,0.3)'
     });
 
@@ -177,6 +1006,7 @@ Answer concisely and accurately.
     btn.onclick = () => { toggleModal() };
 
     document.body.appendChild(btn);
+    updateSettingsButton();
 
     // 2. The Modal Overlay
     const overlay = document.createElement('div');
@@ -193,7 +1023,7 @@ Answer concisely and accurately.
     });
 
     // 3. The Modal Content
-    const modal = createConfigurationModal(instructions_input_id, context_input_id, counter_input_id);
+    const modal = createConfigurationModal(instructions_input_id, context_input_id, usage_meter_id);
     Object.assign(modal.style, {
       backgroundColor: '#1e1f20',
       color: '#e3e3e3',
@@ -204,515 +1034,4902 @@ Answer concisely and accurately.
       boxShadow: '0 4px 20px rgba(0,0,0,0.5)',
       display: 'flex',
       flexDirection: 'column',
-      gap: '15px'
+      gap: '15px',
+      maxHeight: '90vh',
+      overflowY: 'auto',
+      boxSizing: 'border-box'
     });
 
     overlay.appendChild(modal);
     document.body.appendChild(overlay);
+    setupRememberButton();
+    setupSnippetPicker();
 
     // --- Event Listeners ---
     document.getElementById('ctx-cancel-btn').onclick = toggleModal;
     document.getElementById('ctx-save-btn').onclick = saveSettings;
 
-    // Live Character Count
-    const sysInput = document.getElementById(instructions_input_id);
-    const memInput = document.getElementById(context_input_id);
-    const counter = document.getElementById(counter_input_id);
+    // Profile Actions
+    document.getElementById(profile_select_id).onchange = (e) => {
+      storeFormIntoProfile(draftProfileId);
+      switchDraftProfile(e.target.value);
+    };
+    document.getElementById('ctx-profile-new').onclick = () => addDraftProfile('New profile', {});
+    document.getElementById('ctx-profile-duplicate').onclick = () => {
+      storeFormIntoProfile(draftProfileId);
+      const { id, name, sites, ...fields } = draftStore.profiles[draftProfileId];
+      addDraftProfile(`${name} (copy)`, fields);
+    };
+    document.getElementById('ctx-profile-rename').onclick = () => {
+      const profile = draftStore.profiles[draftProfileId];
+      const name = prompt('Rename profile:', profile.name);
+      if (!name || !name.trim()) return;
+      profile.name = name.trim();
+      renderProfileSelect();
+    };
+    document.getElementById('ctx-profile-delete').onclick = () => {
+      const profileIds = Object.keys(draftStore.profiles);
+      if (profileIds.length === 1) {
+        alert('You need at least one profile.');
+        return;
+      }
+      if (!confirm(`Delete the profile "${draftStore.profiles[draftProfileId].name}"?`)) return;
 
-    function updateCount() {
-      const total = (sysInput.value || "").length + (memInput.value || "").length;
-      counter.innerText = total;
-      counter.style.color = total > 4000 ? '#ff8bcb' : '#c4c7c5';
-    }
+      delete draftStore.profiles[draftProfileId];
+      switchDraftProfile(profileIds.find((id) => id !== draftProfileId));
+    };
 
-    sysInput.oninput = updateCount;
-    memInput.oninput = updateCount;
-  }
+    // Prompt Library
+    document.getElementById(snippet_select_id).onchange = (e) => {
+      storeFormIntoSnippet();
+      switchDraftSnippet(Number(e.target.value));
+    };
+    document.getElementById(snippet_name_id).addEventListener('change', () => {
+      storeFormIntoSnippet();
+      switchDraftSnippet(draftSnippetIndex);
+    });
+    document.getElementById('ctx-snippet-new').onclick = () => {
+      const name = normalizeSnippetName(prompt('Prompt name (typed as /name):') || '');
+      if (!name) return;
+      if (draftSnippets.some((snippet) => snippet.name === name)) {
+        alert(`There already is a /${name} prompt.`);
+        return;
+      }
+      storeFormIntoSnippet();
+      draftSnippets.push({ name, tags: [], body: '' });
+      switchDraftSnippet(draftSnippets.length - 1);
+    };
+    document.getElementById('ctx-snippet-delete').onclick = () => {
+      const snippet = draftSnippets[draftSnippetIndex];
+      if (!snippet || !confirm(`Delete the prompt /${snippet.name}?`)) return;
+      draftSnippets.splice(draftSnippetIndex, 1);
+      switchDraftSnippet(Math.min(draftSnippetIndex, draftSnippets.length - 1));
+    };
+    document.getElementById('ctx-snippet-import').onclick = () =>
+      importSnippets().catch((error) => {
+        console.error('[PromptLibrary] Import failed:', error);
+        alert('Could not import the prompts.');
+      });
+    document.getElementById('ctx-snippet-export').onclick = () => {
+      storeFormIntoSnippet();
+      downloadFile('prompt-library.json', 'application/json', JSON.stringify(draftSnippets, null, 2));
+    };
 
-  function saveSettings() {
-    const sysVal = document.getElementById(instructions_input_id).value;
-    const memVal = document.getElementById(context_input_id).value;
+    // N is only used by the 'Every N messages' mode
+    document.getElementById(mode_select_id).onchange = (e) => {
+      document.getElementById(refresh_interval_id).style.display = e.target.value === 'EVERY_N_MESSAGES' ? '' : 'none';
+    };
 
-    localStorage.setItem(STORAGE_KEY_SYSTEM, sysVal);
-    localStorage.setItem(STORAGE_KEY_CONTEXT, memVal);
+    // Binding Summary
+    document.getElementById(binding_profile_id).addEventListener('change', updateBindingSummary);
+    document.getElementById(binding_context_id).addEventListener('input', updateBindingSummary);
 
-    toggleModal();
-    console.log("[ContextManager] Settings Saved.");
+    // Live Usage Meter
+    const updateMeter = () => renderUsageMeter(usage_meter_id);
+    [instructions_input_id, context_input_id, binding_context_id, preview_message_id, template_vars_id]
+      .forEach((id) => document.getElementById(id).addEventListener('input', updateMeter));
+    document.getElementById(binding_profile_id).addEventListener('change', updateMeter);
+
+    // Auto-Memory
+    document.getElementById('ctx-memory-clear').onclick = () => {
+      const facts = getDraftMemoryFacts();
+      if (facts.length === 0 || !confirm(`Forget all ${facts.length} remembered fact(s)?`)) return;
+      facts.forEach((fact) => draftDeletedFacts.add(normalizeFact(fact.text)));
+      renderMemoryFacts();
+      updateMeter();
+    };
+    document.getElementById(memory_enabled_id).addEventListener('change', updateMeter);
   }
 
-  // --- [THE INTERCEPTOR] ---
-  XMLHttpRequest.prototype.send = function (body) {
-    if (
-      shouldInject &&                                         // Check if we should inject based on mode
-      window.location.hostname === 'gemini.google.com' &&     // Currently only supporting Gemini
-      typeof body === 'string' &&                             // We only care about string bodies (POST requests)
-      body.includes('f.req')                                  // that look like Gemini traffic ('f.req')
-    ) {
-      try {
-        // --- STEP 1: DECODE ---
-        let decodedBody = decodeURIComponent(body);
-        let splitIndex = decodedBody.indexOf("]&") + 1;
+  function saveSettings() {
+    storeFormIntoProfile(draftProfileId);
+    storeFormIntoSnippet();
+    GM_setValue(STORAGE_KEY_SNIPPETS, draftSnippets);
+    draftStore.activeProfileId = draftProfileId;
+    saveProfileStore(draftStore);
+    if (draftConversationKey) {
+      saveConversationBinding(draftConversationKey, readBindingForm());
+    }
+    GM_setValue(STORAGE_KEY_TEMPLATE_VARS, parseTemplateVariables(document.getElementById(template_vars_id).value));
+    GM_setValue(STORAGE_KEY_REDACTION, readRedactionForm());
+    GM_setValue(STORAGE_KEY_SAFETY_GUARD, readSafetyGuardForm());
+    GM_setValue(STORAGE_KEY_NOTES_EXPORT, {
+      tags: document.getElementById(notes_tags_id).value.split(',').map((tag) => tag.trim()).filter(Boolean),
+      filenameTemplate: document.getElementById(notes_filename_id).value.trim() || DEFAULT_NOTES_EXPORT.filenameTemplate,
+    });
 
-        // Isolate the JSON part
-        let requestPart = decodedBody.slice(0, splitIndex);
-        let cleanJson = requestPart.startsWith('f.req=') ? requestPart.slice(6) : requestPart;
+    // The picked profile applies to this tab even if the site has another default
+    sessionProfileId = draftProfileId;
+    saveMemoryForm();
+    validateConfig();
+    updateSettingsButton();
 
-        // --- STEP 2: PARSE ---
-        let outerArray = JSON.parse(cleanJson);
-        // The payload is a stringified JSON inside index 1
-        let innerData = JSON.parse(outerArray[1]);
+    toggleModal();
+    console.log(`[ContextManager] Settings Saved. Active profile: ${draftStore.profiles[draftProfileId].name}`);
+  }
 
-        // --- STEP 3: MODIFY ---
-        // Locate the user prompt (Standard location: innerData[0][0])
-        if (Array.isArray(innerData) && innerData[0] && innerData[0][0]) {
-          let originalUserMsg = innerData[0][0];
-
-          // Prevent double-injection (e.g., if the browser retries the request)
-          // We check for a unique signature from our instructions
-          if (!originalUserMsg.includes(InstructionsPrefix)) {
-
-            // Combine Components
-            let currInstructions = InstructionsPrefix + ( localStorage.getItem(STORAGE_KEY_SYSTEM) || SYSTEM_INSTRUCTIONS ) + Suffix;
-            let currContext = ContextPrefix + ( localStorage.getItem(STORAGE_KEY_CONTEXT) || DYNAMIC_CONTEXT ) + Suffix;
-            let injectionPayload = `${currInstructions}\n${currContext}\n\n${UserMessagePrefix}\n`;
-            let combinedLength = injectionPayload.length + originalUserMsg.length;
-
-            // --- STEP 4: SAFETY CHECK & TRUNCATION ---
-            let finalUserMsg = originalUserMsg;
-
-            if (combinedLength > HARD_CRASH_LIMIT) {
-              // Calculate remaining space for user
-              let spaceForUser = HARD_CRASH_LIMIT - injectionPayload.length;
-
-              if (spaceForUser < 100) {
-                console.error("[ContextInjector] Critical: Instructions leave no room for user message.");
-              } else {
-                console.warn(`[ContextInjector] Message too large (${combinedLength}). Truncating user input to ${spaceForUser} chars.`);
-                finalUserMsg = originalUserMsg.substring(0, spaceForUser) + "\n...[TRUNCATED]";
-              }
-            }
+  // --- [TEMPLATES] ---
+  // Placeholders in the instructions and context are expanded when a message is sent.
+  // Sync XHR sends can't wait on the async clipboard API, so we remember the last text
+  // copied, cut or pasted in this tab, and the last text selected outside the message box.
+  let lastClipboardText = '';
+  let lastSelectionText = '';
 
-            // Apply the Injection
-            innerData[0][0] = injectionPayload + finalUserMsg;
+  document.addEventListener('copy', () => { lastClipboardText = document.getSelection().toString() || lastClipboardText; }, true);
+  document.addEventListener('cut', () => { lastClipboardText = document.getSelection().toString() || lastClipboardText; }, true);
+  document.addEventListener('paste', (e) => { lastClipboardText = e.clipboardData?.getData('text/plain') || lastClipboardText; }, true);
+  document.addEventListener('selectionchange', () => {
+    const selection = document.getSelection();
+    const text = selection.toString().trim();
+    const inEditable = selection.anchorNode?.parentElement?.closest('[contenteditable="true"], textarea, input');
+    if (text && !inEditable) {
+      lastSelectionText = text;
+    }
+  });
 
-            // Update State
-            if (INJECTION_MODE === 'FIRST_MESSAGE_ONLY') {
-              shouldInject = false;
-              console.log("[ContextInjector] First message injected. Disabling future injections.");
-            } else {
-              shouldInject = true;
-              console.log("[ContextInjector] Injected context into current message.");
-            }
-          }
-        }
+  function parseTemplateVariables(text) {
+    const variables = {};
+    text.split('\n').forEach((line) => {
+      const match = line.match(/^\s*([\w-]+)\s*=(.*)$/);
+      if (match) {
+        variables[match[1]] = match[2].trim();
+      }
+    });
+    return variables;
+  }
 
-        // --- STEP 5: RE-PACK ---
-        outerArray[1] = JSON.stringify(innerData);
-        let outerBody = JSON.stringify(outerArray);
-        let encodedBody = encodeURIComponent(outerBody);
+  /**
+   * Evaluates the condition of an {{#if}} block against the message being sent.
+   * Supported: 'code', 'question', 'contains "text"', 'matches /regex/flags'.
+   */
+  function evaluateTemplateCondition(condition, message) {
+    const contains = condition.match(/^contains\s+"(.*)"$/);
+    if (contains) {
+      return message.toLowerCase().includes(contains[1].toLowerCase());
+    }
 
-        // Re-assemble the full body string
-        body = "f.req=" + encodedBody + decodedBody.slice(splitIndex);
+    const matches = condition.match(/^matches\s+\/(.+)\/([gimsuy]*)$/);
+    if (matches) {
+      try {
+        return new RegExp(matches[1], matches[2]).test(message);
       } catch (error) {
-        // FAIL SAFE: 
-        // This ensures the user's original message still goes through, just without context.
-        console.error("[ContextInjector] Injection Failed (Sending Original):", error);
+        console.warn(`[ContextInjector] Invalid regex in template condition: ${condition}`);
+        return false;
       }
     }
 
-    // Pass the (possibly modified) body to the real XMLHttpRequest
-    return ogSend.apply(this, [body]);
-  };
-
-  console.log(`[ContextInjector] Loaded. Mode: ${INJECTION_MODE}`);
+    switch (condition) {
+      case 'code':
+        return /```/.test(message);
+      case 'question':
+        return message.trim().endsWith('?');
+      default:
+        console.warn(`[ContextInjector] Unknown template condition: ${condition}`);
+        return false;
+    }
+  }
 
-  // --- Helper Function: Text Search ---
   /**
-   * Searches the DOM for a visible element containing the given text.
-   * @param {string} searchText - The text content to search for.
-   * @returns {HTMLElement | null} The first matching element or null.
+   * Expands {{placeholders}} and {{#if}}/{{#unless}} blocks.
+   * @param {string} template - Instructions or context as configured.
+   * @param {string} message - The user message being sent, for conditions.
+   * @param {Object} extraValues - Additional built-in values, e.g. { profile }.
+   * @param {Object} [options] - { variables } overrides the saved user variables,
+   *                             { usage: {} } gets usage.selection = true if the selection was used.
+   * @returns {string} The expanded text. Unknown placeholders are kept as-is.
    */
-  function findNodeByText(searchText) {
-    console.log(`Searching the structure by given Text ${searchText}\n`);
-    // Create a TreeWalker to traverse only visible text nodes
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: (node) => {
-          // Filter out nodes that are empty or within hidden elements
-          if (node.nodeValue.trim().length > 0) {
-            return NodeFilter.FILTER_ACCEPT;
-          }
-          return NodeFilter.FILTER_REJECT;
-        },
+  function expandTemplate(template, message, extraValues = {}, options = {}) {
+    const now = new Date();
+    const builtIns = {
+      date: now.toISOString().slice(0, 10),
+      time: now.toTimeString().slice(0, 5),
+      datetime: now.toLocaleString(),
+      page_title: document.title.trim(),
+      url: window.location.href,
+      clipboard: lastClipboardText,
+      get selection() {
+        if (options.usage) options.usage.selection = true;
+        return lastSelectionText;
       },
-      false
+      ...extraValues,
+    };
+    const userVariables = options.variables || GM_getValue(STORAGE_KEY_TEMPLATE_VARS, {});
+
+    return template
+      .replace(/\{\{#(if|unless)\s+(.+?)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, keyword, condition, body) => {
+        const [whenTrue, whenFalse = ''] = body.split('{{else}}');
+        const result = evaluateTemplateCondition(condition.trim(), message);
+        return (keyword === 'if') === result ? whenTrue : whenFalse;
+      })
+      .replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, name) => {
+        if (Object.prototype.hasOwnProperty.call(builtIns, name)) return builtIns[name];
+        if (Object.prototype.hasOwnProperty.call(userVariables, name)) return userVariables[name];
+        return match;
+      });
+  }
+
+  // --- [REDACTION] ---
+  // Masks secrets and personal data before they leave the browser: in exports (after
+  // formatMessageContent) and in the injected context (templates can pull in the clipboard).
+  // Modes: 'mask' -> [REDACTED:email], 'hash' -> [email:1a2b3c4d] (same value, same tag; salted per
+  // install so a tag can't be matched against hashes of guessed values),
+  // 'block' -> a review dialog first, then masked. 'off' disables it.
+  const DEFAULT_REDACTION = {
+    mode: 'mask',
+    applyToExports: true,
+    applyToInjection: true,
+    disabledDetectors: [],
+    customRules: '', // One name=/regex/flags per line
+  };
+
+  function passesLuhnCheck(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return digits.length >= 13 && sum % 10 === 0;
+  }
+
+  const REDACTION_DETECTORS = {
+    private_key: { label: 'Private keys', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]+?-----END [A-Z ]*PRIVATE KEY-----/g },
+    openai_key: { label: 'OpenAI-style keys (sk-…)', pattern: /\bsk-(?:[a-z]+-)?[A-Za-z0-9_-]{20,}/g },
+    aws_key: { label: 'AWS access keys', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    gcp_key: { label: 'Google API keys', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    github_token: { label: 'GitHub/Slack tokens', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{40,}|xox[abpr]-[A-Za-z0-9-]{10,})\b/g },
+    email: { label: 'Emails', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    credit_card: { label: 'Credit cards', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, validate: passesLuhnCheck },
+    phone: { label: 'Phone numbers', pattern: /(?<![\w.+-]|\d[ .-])\+?(?:\d{1,3}[ .-]?)?\(?\d{2,4}\)?[ .-]\d{3,4}[ .-]\d{3,4}(?![\w-]|[ .-]\d)/g },
+    ip_address: { label: 'IP addresses', pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+    internal_host: { label: 'Internal hostnames', pattern: /\b[\w-]+(?:\.[\w-]+)*\.(?:internal|corp|local|lan|intranet|intra)\b/gi },
+  };
+
+  function getRedactionSettings() {
+    return { ...DEFAULT_REDACTION, ...GM_getValue(STORAGE_KEY_REDACTION, {}) };
+  }
+
+  /**
+   * Parses user rules, one name=/regex/flags per line. Broken lines are skipped with a warning.
+   * @returns {{name: string, pattern: RegExp}[]}
+   */
+  function parseRedactionRules(text) {
+    const rules = [];
+    text.split('\n').forEach((line) => {
+      const match = line.trim().match(/^([\w-]+)\s*=\s*\/(.+)\/([a-z]*)$/);
+      if (!match) return;
+      try {
+        const flags = match[3].includes('g') ? match[3] : match[3] + 'g';
+        rules.push({ name: match[1], pattern: new RegExp(match[2], flags) });
+      } catch (error) {
+        console.warn(`[Redaction] Skipping invalid rule "${line}":`, error);
+      }
+    });
+    return rules;
+  }
+
+  function getRedactionRules(settings) {
+    const builtIn = Object.entries(REDACTION_DETECTORS)
+      .filter(([name]) => !settings.disabledDetectors.includes(name))
+      .map(([name, detector]) => ({ name, ...detector }));
+    return [...builtIn, ...parseRedactionRules(settings.customRules)];
+  }
+
+  /**
+   * Finds sensitive values. Earlier rules win where matches overlap (keys before the emails inside them).
+   * @returns {{name: string, value: string, start: number, end: number}[]} Sorted, not overlapping.
+   */
+  function findSensitiveMatches(text, rules) {
+    const found = [];
+    rules.forEach(({ name, pattern, validate }) => {
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (!match[0] || (validate && !validate(match[0]))) continue;
+        if (found.some((other) => start < other.end && end > other.start)) continue;
+        found.push({ name, value: match[0], start, end });
+      }
+    });
+    return found.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Random secret created on first use and kept in GM storage, so hash tags stay stable across exports.
+   */
+  function getRedactionSalt() {
+    let salt = GM_getValue(STORAGE_KEY_REDACTION_SALT, null);
+    if (!salt) {
+      salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+      GM_setValue(STORAGE_KEY_REDACTION_SALT, salt);
+    }
+    return salt;
+  }
+
+  function redactText(text, mode, rules) {
+    const matches = findSensitiveMatches(text, rules);
+    const salt = mode === 'hash' && matches.length ? getRedactionSalt() : '';
+    let result = '';
+    let last = 0;
+    matches.forEach(({ name, value, start, end }) => {
+      result += text.slice(last, start) + (mode === 'hash' ? `[${name}:${hashString(salt + value)}]` : `[REDACTED:${name}]`);
+      last = end;
+    });
+    return result + text.slice(last);
+  }
+
+  /**
+   * Lists what would be redacted and asks whether to go on. Only asks in 'block' mode.
+   * @param {string[]} texts - Everything about to leave.
+   * @param {string} cancelAction - What Cancel does, shown in the dialog.
+   * @returns {boolean} false if the user cancelled.
+   */
+  function reviewRedactions(texts, cancelAction) {
+    const settings = getRedactionSettings();
+    if (settings.mode !== 'block') return true;
+
+    const rules = getRedactionRules(settings);
+    const matches = texts.flatMap((text) => findSensitiveMatches(text, rules));
+    if (matches.length === 0) return true;
+
+    // Show enough to recognize each value without printing it in full
+    const lines = matches.slice(0, 15).map(({ name, value }) =>
+      `- ${name}: ${value.length > 8 ? `${value.slice(0, 4)}…${value.slice(-2)}` : `${value[0]}…`}`
+    );
+    if (matches.length > 15) lines.push(`…and ${matches.length - 15} more`);
+
+    return confirm(
+      `Found ${matches.length} possibly sensitive value(s):\n\n${lines.join('\n')}\n\n` +
+      `OK = replace them with [REDACTED] and continue\nCancel = ${cancelAction}`
+    );
+  }
+
+  /**
+   * Redacts text on its way into an export. Block mode has been through reviewRedactions already, so it masks.
+   */
+  function redactForExport(text) {
+    const settings = getRedactionSettings();
+    if (settings.mode === 'off' || !settings.applyToExports) return text;
+    return redactText(text, settings.mode === 'hash' ? 'hash' : 'mask', getRedactionRules(settings));
+  }
+
+  /**
+   * Redacts the injected context.
+   * @returns {string | null} null if the user blocked it in the review.
+   */
+  function redactForInjection(payload) {
+    const settings = getRedactionSettings();
+    if (settings.mode === 'off' || !settings.applyToInjection) return payload;
+    if (!reviewRedactions([payload], 'send the message without the injected context')) {
+      return null;
+    }
+    return redactText(payload, settings.mode === 'hash' ? 'hash' : 'mask', getRedactionRules(settings));
+  }
+
+  // --- [AUTO MEMORY] ---
+  // Facts the assistant marks with [REMEMBER: ...], or that the user highlights in a reply and clicks
+  // "Remember" on, are kept in GM storage and injected after the profile's memory. The oldest facts
+  // are dropped whenever the injection would outgrow MAX_INSTRUCTION_SIZE.
+  // Shape: { enabled, tag, facts: [{ text, addedAt, source: 'tag' | 'selection' }], seen: [normalized text] }
+  const DEFAULT_AUTO_MEMORY = { enabled: false, tag: 'REMEMBER', facts: [], seen: [] };
+  const MemoryPrefix = `Remembered facts:`;
+  const MEMORY_SCAN_DEBOUNCE_MS = 2000; // A reply is complete once the page stops changing
+  const MAX_SEEN_FACTS = 500;           // Tagged facts already captured, so deleted ones don't come back on the next scan
+  let memoryScanTimer = null;
+
+  function getAutoMemory() {
+    return { ...DEFAULT_AUTO_MEMORY, ...GM_getValue(STORAGE_KEY_AUTO_MEMORY, {}) };
+  }
+
+  function normalizeFact(text) {
+    return text.replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  function formatMemoryFacts(facts) {
+    return facts.length ? `${MemoryPrefix}\n${facts.map((fact) => `- ${fact.text}`).join('\n')}` : '';
+  }
+
+  /**
+   * The facts to inject, or '' while auto-memory is off.
+   */
+  function getMemoryContext() {
+    const memory = getAutoMemory();
+    return memory.enabled ? formatMemoryFacts(memory.facts) : '';
+  }
+
+  /**
+   * Drops the oldest facts until the instructions, context and facts fit in MAX_INSTRUCTION_SIZE.
+   * The facts go into every chat, so they are measured next to the largest profile, not just the open page's.
+   * @returns {Object[]} The dropped facts.
+   */
+  function evictOldFacts(memory) {
+    const page = resolvePageContext();
+    // Measured like the usage meter does, on the whole injected block
+    const compose = ({ profile, context }, facts) => composeInjectionPayload(
+      profile.instructions, context, '', { profile: profile.name }, { memory: formatMemoryFacts(facts) }
+    );
+    const largest = Object.values(loadProfileStore().profiles)
+      .map((profile) => ({ profile, context: profile.context }))
+      .reduce((max, candidate) => (compose(candidate, []).length > compose(max, []).length ? candidate : max), page);
+    const measure = () => compose(largest, memory.facts).length;
+
+    // A fact that doesn't fit even on its own would otherwise push out all the older ones first
+    const evicted = memory.facts.filter((fact) => compose(largest, [fact]).length > MAX_INSTRUCTION_SIZE);
+    memory.facts = memory.facts.filter((fact) => !evicted.includes(fact));
+    memory.facts.sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+    while (memory.facts.length && measure() > MAX_INSTRUCTION_SIZE) {
+      evicted.push(memory.facts.shift());
+    }
+    return evicted;
+  }
+
+  /**
+   * Adds facts to the memory, skipping ones it already has.
+   * @param {string[]} texts
+   * @param {'tag' | 'selection'} source - Tagged facts the user deleted stay deleted, selections are always added.
+   * @returns {{added: number, evicted: number, tooLarge: number}} tooLarge counts new facts that don't fit even
+   *                                                                on their own, e.g. when a profile alone fills the size limit.
+   */
+  function rememberFacts(texts, source) {
+    const memory = getAutoMemory();
+    const known = new Set(memory.facts.map((fact) => normalizeFact(fact.text)));
+    const seen = new Set(memory.seen);
+    const addedAt = new Date().toISOString();
+    const newFacts = new Set();
+
+    texts.forEach((text) => {
+      const key = normalizeFact(text);
+      if (!key || known.has(key) || (source === 'tag' && seen.has(key))) return;
+      known.add(key);
+      seen.add(key);
+      const fact = { text: text.replace(/\s+/g, ' ').trim(), addedAt, source };
+      memory.facts.push(fact);
+      newFacts.add(fact);
+    });
+    if (newFacts.size === 0) {
+      return { added: 0, evicted: 0, tooLarge: 0 };
+    }
+
+    const evicted = evictOldFacts(memory);
+    const tooLarge = evicted.filter((fact) => newFacts.has(fact)).length;
+    const added = newFacts.size - tooLarge;
+    const evictedOld = evicted.length - tooLarge;
+    memory.seen = [...seen].slice(-MAX_SEEN_FACTS);
+    GM_setValue(STORAGE_KEY_AUTO_MEMORY, memory);
+    if (tooLarge) {
+      console.warn(`[AutoMemory] No room for ${tooLarge} fact(s) within ${MAX_INSTRUCTION_SIZE} chars.`);
+    }
+    console.log(`[AutoMemory] Remembered ${added} fact(s)${evictedOld ? `, dropped ${evictedOld} old one(s)` : ''}.`);
+    return { added, evicted: evictedOld, tooLarge };
+  }
+
+  /**
+   * The toast for a rememberFacts() result, or '' if nothing changed.
+   */
+  function describeRememberedFacts({ added, evicted, tooLarge }, origin = '') {
+    const parts = [];
+    if (added) {
+      parts.push(`🧠 Remembered ${added} fact(s)${origin}${evicted ? `, dropped ${evicted} old one(s)` : ''}.`);
+    }
+    if (tooLarge) {
+      parts.push(`⚠️ No room for ${tooLarge} fact(s) next to the largest profile's instructions and context, the limit is ${MAX_INSTRUCTION_SIZE} chars.`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Finds the [TAG: fact] markers in a reply.
+   * @returns {string[]}
+   */
+  function extractTaggedFacts(text, tag) {
+    const escapedTag = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`\\[${escapedTag}:\\s*([^\\]\\n]+?)\\s*\\]`, 'gi');
+    return [...text.matchAll(pattern)].map((match) => match[1]);
+  }
+
+  function scanRepliesForMemory() {
+    const memory = getAutoMemory();
+    if (!memory.enabled || !memory.tag || !activeAdapter.turnSelector) return;
+
+    const facts = listMessageElements(activeAdapter, document.querySelectorAll(activeAdapter.turnSelector))
+      .filter((message) => activeAdapter.getRole(message) === 'assistant')
+      .flatMap((message) => extractTaggedFacts(message.innerText, memory.tag));
+    const message = describeRememberedFacts(rememberFacts(facts, 'tag'), ' from the reply');
+    if (message) {
+      showToast(message);
+    }
+  }
+
+  function scheduleMemoryScan() {
+    clearTimeout(memoryScanTimer);
+    memoryScanTimer = setTimeout(scanRepliesForMemory, MEMORY_SCAN_DEBOUNCE_MS);
+  }
+
+  /**
+   * Shows a "Remember" button next to text selected in a reply, each selected line becomes a fact.
+   */
+  function setupRememberButton() {
+    const button = document.createElement('button');
+    button.id = 'ctx-remember-btn';
+    button.type = 'button';
+    button.textContent = '🧠 Remember';
+    Object.assign(button.style, {
+      display: 'none', position: 'fixed', zIndex: '10001', padding: '4px 10px', borderRadius: '12px',
+      border: '1px solid #444746', backgroundColor: '#1e1f20', color: '#e3e3e3', cursor: 'pointer',
+      fontSize: '0.85rem', boxShadow: '0 2px 5px rgba(0,0,0,0.3)'
+    });
+    // Keep the selection when the button is pressed
+    button.addEventListener('mousedown', (e) => e.preventDefault());
+    button.onclick = () => {
+      const lines = document.getSelection().toString().split('\n').map((line) => line.replace(/^\s*[-*•]\s+/, ''));
+      showToast(describeRememberedFacts(rememberFacts(lines, 'selection')) || 'Already remembered.');
+      button.style.display = 'none';
+    };
+    document.body.appendChild(button);
+
+    document.addEventListener('mouseup', (e) => {
+      if (e.target === button) return;
+      // The selection is only final after the click has been handled
+      setTimeout(() => {
+        const selection = document.getSelection();
+        const anchor = selection.anchorNode?.parentElement;
+        const inReply = anchor && !anchor.closest('[contenteditable="true"], textarea, input, #gemini-ctx-modal') &&
+          (!activeAdapter.turnSelector || anchor.closest(activeAdapter.turnSelector));
+        if (!getAutoMemory().enabled || selection.isCollapsed || !selection.toString().trim() || !inReply) {
+          button.style.display = 'none';
+          return;
+        }
+        const rect = selection.getRangeAt(0).getBoundingClientRect();
+        button.style.top = `${Math.max(0, rect.top - 34)}px`;
+        button.style.left = `${Math.min(window.innerWidth - 120, Math.max(0, rect.right - 100))}px`;
+        button.style.display = 'block';
+      });
+    });
+  }
+
+  // --- [PROMPT LIBRARY] ---
+  // Named, tagged prompts edited in the ⚙️ modal. Typing /name as the whole message opens a picker above
+  // the message box; the chosen prompt is expanded like the instructions are, after asking for every
+  // {{parameter}} that isn't a built-in or a saved template variable.
+  // Shape: [{ name, tags: [tag], body }]
+  const SLASH_COMMAND_PATTERN = /^\s*\/([\w-]*)\s*$/;
+  const MAX_PICKER_ITEMS = 8;
+  let snippetPicker = null; // { element, composer, snippets, selected } while the picker is open
+
+  function getSnippets() {
+    return GM_getValue(STORAGE_KEY_SNIPPETS, []);
+  }
+
+  function normalizeSnippetName(name) {
+    return name.trim().replace(/^\//, '').replace(/\s+/g, '-').replace(/[^\w-]/g, '');
+  }
+
+  /**
+   * Snippets whose name contains the query or with a tag starting with it, names starting with it first.
+   */
+  function findSnippets(query) {
+    const needle = query.toLowerCase();
+    const startsWithNeedle = (snippet) => snippet.name.toLowerCase().startsWith(needle);
+    return getSnippets()
+      .filter((snippet) => snippet.name.toLowerCase().includes(needle) || snippet.tags.some((tag) => tag.toLowerCase().startsWith(needle)))
+      .sort((a, b) => Number(startsWithNeedle(b)) - Number(startsWithNeedle(a)))
+      .slice(0, MAX_PICKER_ITEMS);
+  }
+
+  /**
+   * The {{placeholders}} of a snippet that only the user can fill in.
+   * @returns {string[]}
+   */
+  function getSnippetParameters(body) {
+    const names = [...body.matchAll(/\{\{\s*([\w-]+)\s*\}\}/g)].map((match) => match[1]).filter((name) => name !== 'else');
+    return [...new Set(names)].filter((name) => expandTemplate(`{{${name}}}`, '', {}) === `{{${name}}}`);
+  }
+
+  /**
+   * Expands a snippet, asking for each of its parameters.
+   * @returns {string | null} Null if a prompt was cancelled.
+   */
+  function expandSnippet(snippet) {
+    const values = {};
+    for (const name of getSnippetParameters(snippet.body)) {
+      const value = prompt(`/${snippet.name}: value for {{${name}}}`);
+      if (value === null) return null;
+      values[name] = value;
+    }
+    const usage = {};
+    const expanded = expandTemplate(snippet.body, '', values, { usage });
+    if (usage.selection) {
+      lastSelectionText = '';
+    }
+    return expanded;
+  }
+
+  function closeSnippetPicker() {
+    snippetPicker?.element.remove();
+    snippetPicker = null;
+  }
+
+  function chooseSnippet(snippet) {
+    closeSnippetPicker();
+    const text = expandSnippet(snippet);
+    // Replaces the /command
+    if (text !== null && !insertIntoComposer(activeAdapter.composerSelector, text)) {
+      alert('Could not find the message box.');
+    }
+  }
+
+  function renderSnippetPicker(composer, snippets, selected = 0) {
+    if (!snippetPicker) {
+      const element = document.createElement('div');
+      element.id = 'ctx-snippet-picker';
+      Object.assign(element.style, {
+        position: 'fixed', zIndex: '10001', minWidth: '260px', maxWidth: '480px', padding: '4px 0',
+        backgroundColor: '#1e1f20', color: '#e3e3e3', border: '1px solid #444746', borderRadius: '8px',
+        fontSize: '0.9rem', fontFamily: 'Google Sans, Roboto, sans-serif', boxShadow: '0 2px 8px rgba(0,0,0,0.4)'
+      });
+      document.body.appendChild(element);
+      snippetPicker = { element };
+    }
+    Object.assign(snippetPicker, { composer, snippets, selected: Math.min(selected, snippets.length - 1) });
+
+    const { element } = snippetPicker;
+    element.innerHTML = '';
+    snippets.forEach((snippet, index) => {
+      const item = document.createElement('div');
+      Object.assign(item.style, {
+        padding: '4px 10px', cursor: 'pointer', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis',
+        backgroundColor: index === snippetPicker.selected ? '#2b2d30' : 'transparent'
+      });
+
+      const name = document.createElement('strong');
+      name.textContent = `/${snippet.name}`;
+      const details = document.createElement('span');
+      details.textContent = ` ${snippet.tags.map((tag) => `#${tag}`).join(' ')} ${snippet.body.replace(/\s+/g, ' ').slice(0, 60)}`;
+      details.style.color = '#c4c7c5';
+
+      item.append(name, details);
+      // Keep the focus in the message box
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        chooseSnippet(snippet);
+      });
+      element.appendChild(item);
+    });
+
+    const rect = composer.getBoundingClientRect();
+    element.style.left = `${Math.max(0, rect.left)}px`;
+    element.style.bottom = `${Math.max(0, window.innerHeight - rect.top + 6)}px`;
+  }
+
+  function setupSnippetPicker() {
+    document.addEventListener('input', (e) => {
+      const composer = activeAdapter.composerSelector && e.target.closest?.(activeAdapter.composerSelector);
+      if (!composer) return;
+
+      const command = (readComposerText() || '').match(SLASH_COMMAND_PATTERN);
+      const snippets = command ? findSnippets(command[1]) : [];
+      if (snippets.length) {
+        renderSnippetPicker(composer, snippets, snippetPicker?.selected);
+      } else {
+        closeSnippetPicker();
+      }
+    }, true);
+
+    // Runs before the site's own handlers, so Enter picks a prompt instead of sending the message
+    document.addEventListener('keydown', (e) => {
+      if (!snippetPicker || e.isComposing) return;
+      const { composer, snippets, selected } = snippetPicker;
+
+      switch (e.key) {
+        case 'ArrowDown':
+          renderSnippetPicker(composer, snippets, (selected + 1) % snippets.length);
+          break;
+        case 'ArrowUp':
+          renderSnippetPicker(composer, snippets, (selected - 1 + snippets.length) % snippets.length);
+          break;
+        case 'Enter':
+        case 'Tab':
+          chooseSnippet(snippets[selected]);
+          break;
+        case 'Escape':
+          closeSnippetPicker();
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+    }, true);
+
+    document.addEventListener('focusout', (e) => {
+      if (snippetPicker && e.target === snippetPicker.composer) {
+        closeSnippetPicker();
+      }
+    }, true);
+  }
+
+  // --- [CHUNKED SEND] ---
+  // Messages over HARD_CRASH_LIMIT are sent as numbered parts instead of being truncated.
+  // Part 1 goes out in the intercepted request with the instructions, the rest are typed into
+  // the message box one by one once the previous reply has finished.
+  const CHUNK_OVERHEAD = 600;        // Room for the part header and preamble
+  const CHUNK_REPLY_TIMEOUT = 180000; // Give up waiting for a reply after 3 minutes
+  let chunkedSendActive = false;
+  const queuedChunkParts = new Set(); // Parts 2..N being typed in, so the interceptor sends them as they are
+
+  // The message box may reflow the text it was given
+  function normalizeChunkPart(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  const CHUNK_PREAMBLE = (total) =>
+    `I am sending one long message in ${total} numbered parts. Until you receive part ${total}/${total}, ` +
+    `reply only with "ACK <part>/${total}" and wait for the next part. After the final part, respond to the full message.`;
+
+  function splitLongText(text, maxSize, separator) {
+    const pieces = [];
+    let current = null; // Empty segments are kept, they are blank lines
+    text.split(separator).forEach((segment) => {
+      // A single line longer than the limit has to be cut
+      while (segment.length > maxSize) {
+        if (current !== null) {
+          pieces.push(current);
+          current = null;
+        }
+        pieces.push(segment.slice(0, maxSize));
+        segment = segment.slice(maxSize);
+      }
+      if (current !== null && current.length + separator.length + segment.length > maxSize) {
+        pieces.push(current);
+        current = segment;
+      } else {
+        current = current !== null ? current + separator + segment : segment;
+      }
+    });
+    if (current) pieces.push(current);
+    return pieces;
+  }
+
+  function splitCodeBlock(block, maxSize) {
+    if (block.length <= maxSize) return [block];
+
+    // Close and reopen the fence around each piece so every part stays valid Markdown
+    const openingFence = block.slice(0, block.indexOf('\n'));
+    const code = block.slice(openingFence.length + 1, block.lastIndexOf('\n```'));
+    return splitLongText(code, maxSize - openingFence.length - 5, '\n')
+      .map((piece) => `${openingFence}\n${piece}\n\`\`\``);
+  }
+
+  /**
+   * Splits a message on paragraph and code block boundaries into chunks of at most maxSize chars.
+   * Code blocks are only cut (on line boundaries) when a single block doesn't fit. Paragraphs keep the
+   * blank lines after them, so pasted logs and code come through with their whitespace as typed.
+   */
+  function splitMessageIntoChunks(text, maxSize) {
+    const blocks = [];
+    text.split(/(```[^\n]*\n[\s\S]*?\n```)/g).forEach((part, index) => {
+      if (index % 2 === 1) {
+        blocks.push(...splitCodeBlock(part, maxSize));
+      } else {
+        (part.match(/[\s\S]*?(?:\n{2,}|$)/g) || [])
+          .filter(Boolean)
+          .forEach((paragraph) => blocks.push(...splitLongText(paragraph, maxSize, '\n')));
+      }
+    });
+
+    const chunks = [];
+    let current = '';
+    blocks.forEach((block) => {
+      if (current && current.length + block.length > maxSize) {
+        chunks.push(current);
+        current = block;
+      } else {
+        current += block;
+      }
+    });
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  function formatChunk(chunk, index, total) {
+    const header = `[PART ${index + 1}/${total}]`;
+    if (index === 0) return `${header} ${CHUNK_PREAMBLE(total)}\n\n${chunk}`;
+    if (index === total - 1) return `${header} This is the final part. Now respond to the full message.\n\n${chunk}`;
+    return `${header}\n\n${chunk}`;
+  }
+
+  function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Resolves once the site has stopped generating a reply (no stop button for a couple of seconds).
+   * @returns {Promise<boolean>} false if it timed out.
+   */
+  async function waitForReplyToFinish(adapter, timeout) {
+    const deadline = Date.now() + timeout;
+    const isGenerating = () => adapter.stopButtonSelector && document.querySelector(adapter.stopButtonSelector);
+    let idleSince = null;
+
+    // The reply may take a moment to start after the request goes out
+    const startDeadline = Date.now() + 10000;
+    while (!isGenerating() && Date.now() < startDeadline) {
+      await delay(250);
+    }
+
+    while (Date.now() < deadline) {
+      if (isGenerating()) {
+        idleSince = null;
+      } else {
+        idleSince = idleSince || Date.now();
+        if (Date.now() - idleSince > 2000) return true;
+      }
+      await delay(500);
+    }
+    return false;
+  }
+
+  async function sendViaComposer(adapter, text) {
+    if (!insertIntoComposer(adapter.composerSelector, text)) {
+      return false;
+    }
+
+    // The send button enables itself once the editor has processed the input
+    for (let attempt = 0; attempt < 20; attempt++) {
+      await delay(250);
+      const sendButton = document.querySelector(adapter.sendButtonSelector);
+      if (sendButton && !sendButton.disabled) {
+        sendButton.click();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async function sendRemainingChunks(adapter, parts) {
+    chunkedSendActive = true;
+    try {
+      for (let index = 0; index < parts.length; index++) {
+        showToast(`Waiting for the reply before sending part ${index + 2}/${parts.length + 1}…`);
+        if (!(await waitForReplyToFinish(adapter, CHUNK_REPLY_TIMEOUT))) {
+          alert(`Timed out waiting for a reply. Parts ${index + 2}-${parts.length + 1} were not sent.`);
+          return;
+        }
+
+        queuedChunkParts.add(normalizeChunkPart(parts[index]));
+        if (!(await sendViaComposer(adapter, parts[index]))) {
+          queuedChunkParts.delete(normalizeChunkPart(parts[index]));
+          alert(`Could not send part ${index + 2}/${parts.length + 1}. The remaining parts were not sent.`);
+          return;
+        }
+        console.log(`[ContextInjector] Sent part ${index + 2}/${parts.length + 1}.`);
+      }
+      showToast(`All ${parts.length + 1} parts sent.`);
+    } finally {
+      chunkedSendActive = false;
+    }
+  }
+
+  /**
+   * Offers to split an oversized message. Queues parts 2..N and returns part 1, or null to fall back to truncation.
+   */
+  function offerChunkedSend(originalUserMsg, injectionPayload) {
+    const chunkSize = HARD_CRASH_LIMIT - injectionPayload.length - CHUNK_OVERHEAD;
+    if (chunkedSendActive || chunkSize < 1000 || !activeAdapter.sendButtonSelector) {
+      return null;
+    }
+
+    const chunks = splitMessageIntoChunks(originalUserMsg, chunkSize);
+    const splitIt = confirm(
+      `Your message is ${originalUserMsg.length} chars, over the ${HARD_CRASH_LIMIT} char limit.\n\n` +
+      `OK = send it in ${chunks.length} parts (keep this tab open until all parts are sent)\n` +
+      `Cancel = truncate it`
+    );
+    if (!splitIt) {
+      return null;
+    }
+
+    const parts = chunks.map((chunk, index) => formatChunk(chunk, index, chunks.length));
+    sendRemainingChunks(activeAdapter, parts.slice(1));
+    return parts[0];
+  }
+
+  /**
+   * @param {{label: string, run: Function}} [action] - Adds a button, the toast then stays up longer.
+   */
+  function showToast(message, action) {
+    let toast = document.getElementById('ctx-toast');
+    if (!toast) {
+      toast = document.createElement('div');
+      toast.id = 'ctx-toast';
+      Object.assign(toast.style, {
+        position: 'fixed', bottom: '20px', right: '20px', zIndex: '10001', maxWidth: '360px',
+        backgroundColor: '#1e1f20', color: '#e3e3e3', border: '1px solid #444746', borderRadius: '8px',
+        padding: '10px 14px', fontSize: '0.9rem', boxShadow: '0 2px 8px rgba(0,0,0,0.4)'
+      });
+      document.body.appendChild(toast);
+    }
+    toast.textContent = message;
+    if (action) {
+      const button = document.createElement('button');
+      button.textContent = action.label;
+      Object.assign(button.style, {
+        marginLeft: '10px', padding: '2px 10px', borderRadius: '12px', border: '1px solid #444746',
+        background: 'transparent', color: '#8ab4f8', cursor: 'pointer'
+      });
+      button.onclick = () => {
+        toast.style.display = 'none';
+        action.run();
+      };
+      toast.appendChild(button);
+    }
+    toast.style.display = 'block';
+    clearTimeout(toast.hideTimer);
+    toast.hideTimer = setTimeout(() => { toast.style.display = 'none'; }, action ? 15000 : 5000);
+  }
+
+  // --- [USAGE METER] ---
+  // Approximate per-message limits of each site. Gemini's is the HARD_CRASH_LIMIT the interceptor
+  // enforces, the token limits are rough figures for what a single message may carry.
+  const SITE_LIMITS = {
+    gemini: { name: 'Gemini', messageChars: HARD_CRASH_LIMIT, messageTokens: 9000 },
+    chatgpt: { name: 'ChatGPT', messageChars: HARD_CRASH_LIMIT, messageTokens: 32000 },
+    claude: { name: 'Claude', messageChars: HARD_CRASH_LIMIT, messageTokens: 50000 },
+    perplexity: { name: 'Perplexity', messageChars: HARD_CRASH_LIMIT, messageTokens: 8000 },
+    mistral: { name: 'Le Chat', messageChars: HARD_CRASH_LIMIT, messageTokens: 32000 },
+  };
+  const DEFAULT_SITE_LIMITS = { name: 'this site', messageChars: HARD_CRASH_LIMIT, messageTokens: 8000 };
+  const INSTRUCTION_SHARE_WARNING = 0.25; // Warn when the injection eats over a quarter of a message
+
+  /**
+   * Estimates the token count of a text, approximating BPE tokenizers (cl100k-style) without a vocabulary:
+   * the text is pre-split the way those tokenizers do, then each piece is costed by its length and script.
+   * @returns {number}
+   */
+  function estimateTokens(text) {
+    const pieces = text.match(/ ?[A-Za-z]+|\d{1,3}| ?[^\sA-Za-z\d]+|\s+/g) || [];
+    let tokens = 0;
+
+    pieces.forEach((piece) => {
+      const word = piece.trim();
+      if (!word) {
+        // Runs of whitespace merge, but newlines mostly stay separate
+        tokens += Math.max(1, (piece.match(/\n/g) || []).length);
+      } else if (/^[A-Za-z]+$/.test(word)) {
+        // Common words are one token, longer ones split into ~5 letter pieces
+        tokens += word.length <= 7 ? 1 : Math.ceil(word.length / 5);
+      } else if (/^\d+$/.test(word)) {
+        tokens += 1;
+      } else {
+        // Punctuation merges in small runs; other scripts (CJK, emoji) cost about a token per character
+        const ascii = word.replace(/[^\x00-\x7F]/g, '');
+        tokens += Math.ceil(ascii.length / 2) + (word.length - ascii.length);
+      }
+    });
+    return tokens;
+  }
+
+  function getSiteLimits() {
+    return SITE_LIMITS[activeAdapter.platform] || DEFAULT_SITE_LIMITS;
+  }
+
+  /**
+   * Redraws the meter from the modal's current (unsaved) values, with a preview of the exact payload.
+   */
+  function renderUsageMeter(meterId) {
+    const meter = document.getElementById(meterId);
+    const preview = document.getElementById(`${meterId}-preview`);
+    const limits = getSiteLimits();
+    const profileName = draftStore?.profiles[draftProfileId]?.name || '';
+    const sampleMessage = document.getElementById(preview_message_id).value;
+    const variables = parseTemplateVariables(document.getElementById(template_vars_id).value);
+    const templateOptions = { variables };
+
+    // A pinned profile replaces the one being edited in the injection, so meter what will be sent
+    const pinnedProfile = draftStore?.profiles[document.getElementById(binding_profile_id).value];
+    const instructions = pinnedProfile && pinnedProfile.id !== draftProfileId
+      ? pinnedProfile.instructions
+      : document.getElementById(instructions_input_id).value;
+    const profileContext = pinnedProfile && pinnedProfile.id !== draftProfileId
+      ? pinnedProfile.context
+      : document.getElementById(context_input_id).value;
+    const memoryContext = document.getElementById(memory_enabled_id).checked ? formatMemoryFacts(getDraftMemoryFacts()) : '';
+    const context = joinContext(profileContext, document.getElementById(binding_context_id).value);
+
+    const expandedInstructions = expandTemplate(instructions, sampleMessage, { profile: profileName }, templateOptions);
+    const expandedContext = joinContext(expandTemplate(context, sampleMessage, { profile: profileName }, templateOptions), memoryContext);
+    const payload = composeInjectionPayload(
+      instructions, context, sampleMessage, { profile: profileName }, { ...templateOptions, memory: memoryContext }
     );
+    // The prefixes, suffixes and line breaks around the two parts
+    const overhead = composeInjectionPayload('', '', sampleMessage, {});
+
+    const rows = [
+      ['Instructions', expandedInstructions],
+      ['Context', expandedContext],
+      ['Injection overhead', overhead],
+    ];
+    const totalTokens = estimateTokens(payload);
+    const shareOfMessage = totalTokens / limits.messageTokens;
+
+    const warnings = [];
+    if (payload.length > MAX_INSTRUCTION_SIZE) {
+      warnings.push(`Over the ${MAX_INSTRUCTION_SIZE} char instruction budget.`);
+    }
+    if (payload.length > limits.messageChars) {
+      warnings.push(`Leaves no room for your message on ${limits.name} (${limits.messageChars} chars max).`);
+    } else if (shareOfMessage > INSTRUCTION_SHARE_WARNING) {
+      warnings.push(`Takes ${Math.round(shareOfMessage * 100)}% of a ${limits.name} message (~${limits.messageTokens} tokens).`);
+    }
+
+    meter.innerHTML = '';
+    const bar = document.createElement('div');
+    Object.assign(bar.style, { height: '6px', background: '#2b2d30', borderRadius: '3px', overflow: 'hidden', marginBottom: '6px' });
+    const fill = document.createElement('div');
+    Object.assign(fill.style, {
+      height: '100%', width: `${Math.min(100, (payload.length / MAX_INSTRUCTION_SIZE) * 100)}%`,
+      background: warnings.length ? '#ff8bcb' : '#8ab4f8'
+    });
+    bar.appendChild(fill);
+    meter.appendChild(bar);
+
+    rows.forEach(([label, text]) => {
+      const row = document.createElement('div');
+      row.textContent = `${label}: ~${estimateTokens(text)} tokens · ${text.length} chars`;
+      meter.appendChild(row);
+    });
+
+    const total = document.createElement('div');
+    total.textContent = `Total: ~${totalTokens} tokens · ${payload.length} / ${MAX_INSTRUCTION_SIZE} chars. ` +
+      `Leaves ${Math.max(0, limits.messageChars - payload.length)} chars for your message on ${limits.name}.`;
+    total.style.fontWeight = 'bold';
+    meter.appendChild(total);
+
+    warnings.forEach((warning) => {
+      const row = document.createElement('div');
+      row.textContent = `⚠️ ${warning}`;
+      row.style.color = '#ff8bcb';
+      meter.appendChild(row);
+    });
+
+    preview.textContent = payload + sampleMessage;
+  }
+
+  // --- [INJECTION STATE] ---
+  // Tracked per conversation so new chats in the same tab get instructions, and reloads don't re-inject.
+  // Shape: { ["platform:conversationId"]: { messageCount, injectedCount, lastInjectedAt, updatedAt } }
+  const MAX_INJECTION_STATES = 500; // Only the most recently used conversations are kept
+  let pendingInjectionState = null; // A new chat has no ID until its first message is sent
+
+  function createInjectionState() {
+    return { messageCount: 0, injectedCount: 0, lastInjectedAt: null, updatedAt: null };
+  }
+
+  function saveInjectionStates(states) {
+    Object.keys(states)
+      .sort((a, b) => (states[b].updatedAt || '').localeCompare(states[a].updatedAt || ''))
+      .slice(MAX_INJECTION_STATES)
+      .forEach((oldKey) => delete states[oldKey]);
+    GM_setValue(STORAGE_KEY_INJECTION_STATE, states);
+  }
+
+  /**
+   * Hands the state of a just-started chat over to the ID the site assigned to it.
+   */
+  function adoptPendingInjectionState(conversationKey) {
+    if (!pendingInjectionState || !conversationKey) return;
+
+    const states = GM_getValue(STORAGE_KEY_INJECTION_STATE, {});
+    if (!states[conversationKey]) {
+      states[conversationKey] = pendingInjectionState;
+      saveInjectionStates(states);
+    }
+    pendingInjectionState = null;
+  }
+
+  function getInjectionState(conversationKey) {
+    if (!conversationKey) {
+      return pendingInjectionState || createInjectionState();
+    }
+    adoptPendingInjectionState(conversationKey);
+    return GM_getValue(STORAGE_KEY_INJECTION_STATE, {})[conversationKey] || createInjectionState();
+  }
+
+  function recordMessageSent(conversationKey, injected) {
+    const state = getInjectionState(conversationKey);
+    state.messageCount++;
+    state.updatedAt = new Date().toISOString();
+    if (injected) {
+      state.injectedCount++;
+      state.lastInjectedAt = new Date().toISOString();
+    }
+
+    if (!conversationKey) {
+      pendingInjectionState = state;
+      return;
+    }
+    const states = GM_getValue(STORAGE_KEY_INJECTION_STATE, {});
+    states[conversationKey] = state;
+    saveInjectionStates(states);
+  }
+
+  function shouldInjectInto(state, profile) {
+    switch (profile.injectionMode) {
+      case 'FIRST_MESSAGE_ONLY':
+        return state.injectedCount === 0;
+      case 'EVERY_N_MESSAGES':
+        return state.messageCount % Math.max(1, profile.refreshInterval || REFRESH_INTERVAL) === 0;
+      default:
+        return true;
+    }
+  }
+
+  // --- [NETWORK CAPTURE] ---
+  // Records the conversations the page loads and streams, so exports don't depend on the page layout
+  // and include turns a virtualized list has unmounted. The DOM is only the fallback.
+  // The payload shapes are undocumented, every parser gives up quietly when they change.
+  const CAPTURE_NETWORK = true;
+  const CHATGPT_CONVERSATION_LOAD_ENDPOINT = /^\/backend-api\/conversation\/([\w-]+)$/;
+  const GEMINI_STREAM_ENDPOINT = /\/StreamGenerate/;
+  const GEMINI_BATCH_ENDPOINT = /\/batchexecute/;
+  const GEMINI_HISTORY_RPC = 'hNvQHb';
+
+  // "platform:conversationId" -> ChatGPT: { title, createdAt, model, nodes: { [id]: { role, text, parent } }, currentNode }
+  //                              Gemini:  { title, exchanges: { [responseId]: { user, assistant, time } } }
+  const capturedConversations = new Map();
+
+  function getCapturedConversation(conversationKey) {
+    if (!capturedConversations.has(conversationKey)) {
+      capturedConversations.set(conversationKey, { title: null, nodes: {}, currentNode: null, exchanges: {} });
+    }
+    return capturedConversations.get(conversationKey);
+  }
+
+  /**
+   * Text of a ChatGPT message, or null for tool calls, hidden system messages and other non-chat content.
+   */
+  function getChatGPTMessageText(message) {
+    if (!message || message.metadata?.is_visually_hidden_from_conversation) return null;
+    const { content_type: contentType, parts } = message.content || {};
+    if ((contentType !== 'text' && contentType !== 'multimodal_text') || !Array.isArray(parts)) return null;
+    return parts.filter((part) => typeof part === 'string').join('\n\n');
+  }
+
+  function recordChatGPTMapping(conversationId, data) {
+    const captured = getCapturedConversation(`chatgpt:${conversationId}`);
+    captured.title = data.title || captured.title;
+    Object.entries(data.mapping || {}).forEach(([id, node]) => {
+      captured.nodes[id] = {
+        role: node.message?.author?.role,
+        // Keep the text we sent ourselves, the server copy has the injected context in front
+        // (copies loaded after a reload are cleaned up in getCapturedTurns)
+        text: captured.nodes[id]?.original ?? getChatGPTMessageText(node.message),
+        original: captured.nodes[id]?.original,
+        parent: node.parent,
+      };
+    });
+    captured.currentNode = data.current_node || captured.currentNode;
+    captured.createdAt = data.create_time || captured.createdAt;
+    captured.model = data.mapping?.[captured.currentNode]?.message?.metadata?.model_slug || captured.model;
+  }
+
+  /**
+   * Applies one ChatGPT delta-encoding operation ({ p: "/message/content/parts/0", o: "append", v: "..." }).
+   */
+  function applyChatGPTDelta(target, path, op, value) {
+    const keys = path.split('/').slice(1);
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => (obj == null ? obj : obj[key]), target);
+    if (parent == null || last === undefined) return;
+
+    if (op === 'append') {
+      parent[last] = Array.isArray(parent[last]) ? parent[last].concat(value) : (parent[last] ?? '') + value;
+    } else if (op === 'replace' || op === 'add') {
+      parent[last] = value;
+    }
+  }
+
+  /**
+   * Parses the server-sent events of a ChatGPT reply, both the classic format (the full message in
+   * every event) and the delta encoding (one "add" event, then patches).
+   * @returns {{conversationId: string | null, messages: Object[]}} In stream order.
+   */
+  function parseChatGPTStream(sseText) {
+    const messages = new Map();
+    let conversationId = null;
+    let current = null;    // The envelope ({ message, conversation_id }) the deltas apply to
+    let lastPath = '';
+    let lastOp = 'append';
+
+    const apply = (event) => {
+      if (event.o === 'patch' && Array.isArray(event.v)) {
+        event.v.forEach(apply);
+        return;
+      }
+      if (event.p !== undefined) lastPath = event.p;
+      if (event.o !== undefined) lastOp = event.o;
+
+      if (lastPath === '' && lastOp === 'add' && event.v?.message) {
+        current = event.v;
+      } else if (current) {
+        applyChatGPTDelta(current, lastPath, lastOp, event.v);
+      }
+    };
+
+    sseText.split('\n').forEach((line) => {
+      if (!line.startsWith('data: ')) return;
+      let event;
+      try {
+        event = JSON.parse(line.slice(6));
+      } catch (error) {
+        return; // "[DONE]" and other non-JSON markers
+      }
+      if (!event || typeof event !== 'object') return;
+
+      if (event.message) {
+        current = event;   // Classic format
+      } else if ('v' in event) {
+        apply(event);
+      }
+      if (current?.message?.id) {
+        messages.set(current.message.id, current.message);
+        conversationId = current.conversation_id || conversationId;
+      }
+      conversationId = event.conversation_id || conversationId;
+    });
+
+    return { conversationId, messages: [...messages.values()] };
+  }
+
+  function recordChatGPTExchange(requestBody, sseText) {
+    const request = JSON.parse(requestBody);
+    const { conversationId, messages } = parseChatGPTStream(sseText);
+    const id = conversationId || request.conversation_id;
+    if (!id) return;
+
+    const captured = getCapturedConversation(`chatgpt:${id}`);
+    let parent = request.parent_message_id || null;
+    (request.messages || []).forEach((message) => {
+      const text = getChatGPTMessageText(message);
+      captured.nodes[message.id] = { role: message.author?.role, text, original: text, parent };
+      parent = message.id;
+    });
+    // Stream events don't say which message they answer, they follow each other
+    messages.forEach((message) => {
+      captured.nodes[message.id] = { role: message.author?.role, text: getChatGPTMessageText(message), parent };
+      parent = message.id;
+    });
+    captured.currentNode = parent;
+  }
+
+  function captureChatGPTResponse(pathname, requestBody, responsePromise) {
+    const loadMatch = pathname.match(CHATGPT_CONVERSATION_LOAD_ENDPOINT);
+    const isSend = CHATGPT_CONVERSATION_ENDPOINT.test(pathname) && typeof requestBody === 'string';
+    if (!loadMatch && !isSend) return;
+
+    responsePromise
+      .then((response) => (response.ok ? response.clone().text() : null))
+      .then((text) => {
+        if (!text) return;
+        if (loadMatch) {
+          recordChatGPTMapping(loadMatch[1], JSON.parse(text));
+        } else {
+          recordChatGPTExchange(requestBody, text);
+        }
+      })
+      .catch((error) => console.warn('[NetworkCapture] Could not read ChatGPT response:', error));
+  }
+
+  /**
+   * Splits a Google RPC response (")]}'" guard, then length-prefixed JSON frames) into its "wrb.fr" entries.
+   * @returns {Array} Entries of the form ["wrb.fr", rpcId, payloadJson, ...].
+   */
+  function parseGeminiFrames(responseText) {
+    const entries = [];
+    responseText.split('\n').forEach((line) => {
+      if (!line.startsWith('[')) return;
+      try {
+        JSON.parse(line).forEach((entry) => {
+          if (Array.isArray(entry) && entry[0] === 'wrb.fr' && typeof entry[2] === 'string') {
+            entries.push(entry);
+          }
+        });
+      } catch (error) {
+        // Partial frame, the next one carries the complete text
+      }
+    });
+    return entries;
+  }
+
+  // Gemini conversation IDs are "c_<id>" in payloads and "<id>" in the URL
+  function getGeminiConversationKey(conversationId) {
+    return typeof conversationId === 'string' ? `gemini:${conversationId.replace(/^c_/, '')}` : '';
+  }
+
+  function recordGeminiStream(requestBody, responseText) {
+    const request = JSON.parse(JSON.parse(new URLSearchParams(requestBody).get('f.req'))[1]);
+    let reply = null;
+    // Every frame holds the whole reply so far, the last complete one wins
+    parseGeminiFrames(responseText).forEach((entry) => {
+      const data = JSON.parse(entry[2]);
+      const text = data?.[4]?.[0]?.[1]?.[0];
+      if (typeof text === 'string' && Array.isArray(data[1])) {
+        reply = { conversationId: data[1][0], responseId: data[1][1], text };
+      }
+    });
+    if (!reply) return;
+
+    const key = getGeminiConversationKey(reply.conversationId);
+    if (!key) return;
+    getCapturedConversation(key).exchanges[reply.responseId] = {
+      user: request[0][0],  // Read before injection, so the export shows what the user typed
+      assistant: reply.text,
+      time: Date.now() / 1000,
+    };
+  }
+
+  function recordGeminiHistory(responseText) {
+    parseGeminiFrames(responseText)
+      .filter((entry) => entry[1] === GEMINI_HISTORY_RPC)
+      .forEach((entry) => {
+        const turns = JSON.parse(entry[2])?.[0];
+        if (!Array.isArray(turns)) return;
+
+        // [[conversationId, responseId], _, [[userText]], [[[candidateId, [replyText]]]], [seconds, nanos]]
+        turns.forEach((turn) => {
+          const [conversationId, responseId] = turn?.[0] || [];
+          const user = turn?.[2]?.[0]?.[0];
+          const assistant = turn?.[3]?.[0]?.[0]?.[1]?.[0];
+          const key = getGeminiConversationKey(conversationId);
+          if (!key || typeof user !== 'string' || typeof assistant !== 'string') return;
+
+          const exchanges = getCapturedConversation(key).exchanges;
+          exchanges[responseId] = {
+            user: exchanges[responseId]?.user ?? user,
+            assistant,
+            time: Array.isArray(turn[4]) ? turn[4][0] : exchanges[responseId]?.time ?? 0,
+          };
+        });
+      });
+  }
+
+  function captureGeminiResponse(url, requestBody, xhr) {
+    try {
+      if (GEMINI_STREAM_ENDPOINT.test(url)) {
+        recordGeminiStream(requestBody, xhr.responseText);
+      } else if (GEMINI_BATCH_ENDPOINT.test(url) && url.includes(GEMINI_HISTORY_RPC)) {
+        recordGeminiHistory(xhr.responseText);
+      }
+    } catch (error) {
+      console.warn('[NetworkCapture] Could not read Gemini response:', error);
+    }
+  }
+
+  /**
+   * Removes the instructions and context we injected in front of a user message, as stored by the server.
+   */
+  function stripInjectedContext(text) {
+    if (!text || !text.startsWith(InstructionsPrefix)) return text;
+    const messageStart = text.indexOf(`${UserMessagePrefix}\n`);
+    return messageStart === -1 ? text : text.slice(messageStart + UserMessagePrefix.length + 1);
+  }
+
+  /**
+   * Rebuilds the open conversation from captured network data.
+   * @returns {Turn[] | null} null if nothing was captured for it.
+   */
+  function getCapturedTurns(adapter) {
+    const conversationId = getConversationId(adapter, window.location.pathname);
+    const captured = conversationId && capturedConversations.get(`${adapter.platform}:${conversationId}`);
+    if (!captured) return null;
+
+    const toTurn = (role, text) => {
+      const cleanText = role === 'user' ? stripInjectedContext(text) : text;
+      return { role, roleName: adapter.roleNames[role], text: cleanText, markdown: cleanText };
+    };
+    const turns = [];
+
+    if (adapter.platform === 'chatgpt') {
+      // Walk up from the visible branch's last message
+      for (let id = captured.currentNode; id && captured.nodes[id]; id = captured.nodes[id].parent) {
+        const { role, text } = captured.nodes[id];
+        if ((role === 'user' || role === 'assistant') && text) {
+          turns.unshift(toTurn(role, text));
+        }
+      }
+    } else if (adapter.platform === 'gemini') {
+      Object.values(captured.exchanges)
+        .sort((a, b) => a.time - b.time)
+        .forEach(({ user, assistant }) => turns.push(toTurn('user', user), toTurn('assistant', assistant)));
+    }
+
+    return turns.length ? turns : null;
+  }
+
+  function getCapturedTitle(adapter) {
+    const conversationId = getConversationId(adapter, window.location.pathname);
+    return capturedConversations.get(`${adapter.platform}:${conversationId}`)?.title || null;
+  }
+
+  // --- [THE INTERCEPTOR] ---
+  /**
+   * Builds the block that goes in front of the user message, with templates expanded.
+   * @param {Object} [options] - Passed on to expandTemplate for both parts, except { memory }: text appended
+   *                             to the context as-is, after expansion (the auto-memory facts).
+   */
+  function composeInjectionPayload(instructions, context, message, templateValues, options = {}) {
+    const { memory, ...templateOptions } = options;
+    let currInstructions = InstructionsPrefix + expandTemplate(instructions, message, templateValues, templateOptions) + Suffix;
+    let currContext = ContextPrefix + joinContext(expandTemplate(context, message, templateValues, templateOptions), memory) + Suffix;
+    return `${currInstructions}\n${currContext}\n\n${UserMessagePrefix}\n`;
+  }
+
+  /**
+   * Splits or truncates a user message that wouldn't fit next to the injected block.
+   * @param {string} injectionPayload - The instructions and context going in front of it, "" if none.
+   * @returns {string} The message, or its first part.
+   */
+  function fitMessageToLimit(originalUserMsg, injectionPayload) {
+    let combinedLength = injectionPayload.length + originalUserMsg.length;
+    if (combinedLength <= HARD_CRASH_LIMIT) {
+      return originalUserMsg;
+    }
+
+    // Calculate remaining space for user
+    let spaceForUser = HARD_CRASH_LIMIT - injectionPayload.length;
+    let firstPart = offerChunkedSend(originalUserMsg, injectionPayload);
+
+    if (firstPart !== null) {
+      console.log("[ContextInjector] Message too large. Sending it in parts.");
+      return firstPart;
+    }
+    if (spaceForUser < 100) {
+      console.error("[ContextInjector] Critical: Instructions leave no room for user message.");
+      return originalUserMsg;
+    }
+    console.warn(`[ContextInjector] Message too large (${combinedLength}). Truncating user input to ${spaceForUser} chars.`);
+    return originalUserMsg.substring(0, spaceForUser) + "\n...[TRUNCATED]";
+  }
+
+  /**
+   * Messages sent without the injected block still have to fit the limit.
+   * @returns {string | null} The split or truncated message, or null if it fits as it is.
+   */
+  function fitUninjectedMessage(originalUserMsg) {
+    const finalUserMsg = fitMessageToLimit(originalUserMsg, "");
+    return finalUserMsg === originalUserMsg ? null : finalUserMsg;
+  }
+
+  /**
+   * Prepends the instructions and context to a user message, truncating it if the result would crash the server.
+   * @param {string} originalUserMsg - The message as typed by the user.
+   * @returns {string | null} The message to send, or null to send it unchanged.
+   */
+  function buildInjectedMessage(originalUserMsg) {
+    // Prevent double-injection (e.g., if the browser retries the request)
+    // We check for a unique signature from our instructions
+    if (originalUserMsg.includes(InstructionsPrefix)) {
+      return null;
+    }
+
+    // Parts 2..N of a chunked message; the instructions went out with part 1
+    if (queuedChunkParts.delete(normalizeChunkPart(originalUserMsg))) {
+      recordMessageSent(getConversationKey(), false);
+      return null;
+    }
+
+    // Check the injection mode against this conversation's history
+    const { profile, context, memory } = resolvePageContext();
+    const conversationKey = getConversationKey();
+    if (!shouldInjectInto(getInjectionState(conversationKey), profile)) {
+      recordMessageSent(conversationKey, false);
+      console.log(`[ContextInjector] Skipping injection (${profile.injectionMode}).`);
+      return fitUninjectedMessage(originalUserMsg);
+    }
+
+    // Combine Components
+    const templateUsage = {};
+    let injectionPayload = composeInjectionPayload(
+      profile.instructions, context, originalUserMsg, { profile: profile.name }, { usage: templateUsage, memory }
+    );
+
+    // Redact before anything is measured or split, the clipboard and selection end up in here
+    injectionPayload = redactForInjection(injectionPayload);
+    if (injectionPayload === null) {
+      recordMessageSent(conversationKey, false);
+      console.log("[ContextInjector] Injection blocked in the redaction review.");
+      return fitUninjectedMessage(originalUserMsg);
+    }
+    // A selection is meant for one message, not every message after it
+    if (templateUsage.selection) {
+      lastSelectionText = "";
+    }
+
+    // --- SAFETY CHECK, SPLITTING & TRUNCATION ---
+    let finalUserMsg = fitMessageToLimit(originalUserMsg, injectionPayload);
+
+    // Update State
+    recordMessageSent(conversationKey, true);
+    console.log(`[ContextInjector] Injected context into current message (${profile.injectionMode}).`);
+
+    return injectionPayload + finalUserMsg;
+  }
+
+  // Remember where each request goes, send() doesn't know
+  XMLHttpRequest.prototype.open = function (method, url) {
+    this._ctxUrl = String(url);
+    return ogOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function (body) {
+    if (
+      CAPTURE_NETWORK &&
+      window.location.hostname === 'gemini.google.com' &&
+      typeof this._ctxUrl === 'string'
+    ) {
+      const requestBody = body; // Before injection
+      this.addEventListener('load', () => captureGeminiResponse(this._ctxUrl, requestBody, this));
+    }
+
+    if (
+      shouldInject &&                                         // Check if injection is enabled
+      window.location.hostname === 'gemini.google.com' &&     // Gemini sends messages through XHR
+      typeof body === 'string' &&                             // We only care about string bodies (POST requests)
+      body.includes('f.req')                                  // that look like Gemini traffic ('f.req')
+    ) {
+      try {
+        // --- STEP 1: DECODE ---
+        let decodedBody = decodeURIComponent(body);
+        let splitIndex = decodedBody.indexOf("]&") + 1;
+
+        // Isolate the JSON part
+        let requestPart = decodedBody.slice(0, splitIndex);
+        let cleanJson = requestPart.startsWith('f.req=') ? requestPart.slice(6) : requestPart;
+
+        // --- STEP 2: PARSE ---
+        let outerArray = JSON.parse(cleanJson);
+        // The payload is a stringified JSON inside index 1
+        let innerData = JSON.parse(outerArray[1]);
+
+        // --- STEP 3: MODIFY ---
+        // Locate the user prompt (Standard location: innerData[0][0])
+        if (Array.isArray(innerData) && innerData[0] && typeof innerData[0][0] === 'string' && innerData[0][0]) {
+          let injectedMsg = buildInjectedMessage(innerData[0][0]);
+          if (injectedMsg !== null) {
+            innerData[0][0] = injectedMsg;
+          }
+        }
+
+        // --- STEP 4: RE-PACK ---
+        outerArray[1] = JSON.stringify(innerData);
+        let outerBody = JSON.stringify(outerArray);
+        let encodedBody = encodeURIComponent(outerBody);
+
+        // Re-assemble the full body string
+        body = "f.req=" + encodedBody + decodedBody.slice(splitIndex);
+      } catch (error) {
+        // FAIL SAFE: 
+        // This ensures the user's original message still goes through, just without context.
+        console.error("[ContextInjector] Injection Failed (Sending Original):", error);
+      }
+    }
+
+    // Pass the (possibly modified) body to the real XMLHttpRequest
+    return ogSend.apply(this, [body]);
+  };
+
+  // ChatGPT sends messages through fetch with a JSON body
+  pageWindow.fetch = function (input, init) {
+    const isChatGPT = CHATGPT_HOSTS.includes(window.location.hostname);
+    let pathname = '';
+    try {
+      // Requests are created by the page, so they come from its window
+      const url = input instanceof pageWindow.Request ? input.url : String(input);
+      pathname = isChatGPT ? new URL(url, window.location.href).pathname : '';
+    } catch (error) {
+      // Not a URL we can read: leave the request alone and let the real fetch reject it
+    }
+    const requestBody = init && typeof init.body === 'string' ? init.body : null; // Before injection
+
+    if (
+      shouldInject &&                                                 // Check if injection is enabled
+      isChatGPT &&                                                    // Only on ChatGPT
+      CHATGPT_CONVERSATION_ENDPOINT.test(pathname) &&
+      init && typeof init.body === 'string'                           // We only care about JSON string bodies
+    ) {
+      try {
+        // --- STEP 1: PARSE ---
+        let payload = JSON.parse(init.body);
+
+        // --- STEP 2: MODIFY ---
+        // Locate the last user message with plain text content
+        let userMessage = (payload.messages || [])
+          .filter((message) => message.author?.role === 'user')
+          .pop();
+        let parts = userMessage?.content?.parts;
+
+        if (userMessage?.content?.content_type === 'text' && Array.isArray(parts) && typeof parts[0] === 'string') {
+          let injectedMsg = buildInjectedMessage(parts[0]);
+          if (injectedMsg !== null) {
+            parts[0] = injectedMsg;
+            // --- STEP 3: RE-PACK ---
+            init = { ...init, body: JSON.stringify(payload) };
+          }
+        }
+      } catch (error) {
+        // FAIL SAFE: send the original request untouched
+        console.error("[ContextInjector] Injection Failed (Sending Original):", error);
+      }
+    }
+
+    const responsePromise = ogFetch.call(pageWindow, input, init);
+    if (CAPTURE_NETWORK && isChatGPT) {
+      captureChatGPTResponse(pathname, requestBody, responsePromise);
+    }
+    return responsePromise;
+  };
+
+  console.log(`[ContextInjector] Loaded. Default mode: ${INJECTION_MODE}`);
+
+  // --- Helper Function: Text Search ---
+  /**
+   * Searches the DOM for a visible element containing the given text.
+   * @param {string} searchText - The text content to search for.
+   * @returns {HTMLElement | null} The first matching element or null.
+   */
+  function findNodeByText(searchText) {
+    console.log(`Searching the structure by given Text ${searchText}\n`);
+    // Create a TreeWalker to traverse only visible text nodes
+    const walker = document.createTreeWalker(
+      document.body,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: (node) => {
+          // Filter out nodes that are empty or within hidden elements
+          if (node.nodeValue.trim().length > 0) {
+            return NodeFilter.FILTER_ACCEPT;
+          }
+          return NodeFilter.FILTER_REJECT;
+        },
+      },
+      false
+    );
+
+    let node;
+    while ((node = walker.nextNode())) {
+      if (node.nodeValue.trim().includes(searchText.trim())) {
+        // Return the element that contains the text node
+        return node.parentElement;
+      }
+    }
+    return null;
+  }
+
+  // --- [SELECTOR LEARNING] ---
+  // When the built-in selectors stop matching after a redesign, two text anchors (one user, one
+  // assistant) are enough to work out the new structure. The result is kept per hostname.
+  // { [hostname]: { turnSelector, messageSelector?, userSelector, assistantSelector, learnedAt } }
+  const STORAGE_KEY_LEARNED_SELECTORS = "learned_selectors";
+
+  // Generated class names (hashes, CSS-in-JS) change with every deploy, so they can't be part of a selector
+  function isStableClass(name) {
+    return /^[a-zA-Z][\w-]*$/.test(name) && !/(\D*\d){3}/.test(name) && name.length <= 40;
+  }
+
+  /**
+   * Describes an element by its tag, stable classes, role and data-* attributes.
+   * Given two elements, keeps only what they share (and shared prefixes, e.g. "conversation-turn-").
+   * @returns {string | null} null if the tags differ.
+   */
+  function buildSignature(element, other = element) {
+    if (element.tagName !== other.tagName) {
+      return null;
+    }
+
+    let selector = element.tagName.toLowerCase();
+    [...element.classList]
+      .filter((name) => isStableClass(name) && other.classList.contains(name))
+      .forEach((name) => { selector += `.${name}`; });
+
+    [...element.attributes].forEach(({ name, value }) => {
+      if (name !== "role" && !name.startsWith("data-")) return;
+      const otherValue = other.getAttribute(name);
+      if (otherValue === null) return;
+
+      // Values with digits are usually indexes or IDs
+      if (otherValue === value && !/\d/.test(value)) {
+        selector += `[${name}=${JSON.stringify(value)}]`;
+        return;
+      }
+      let prefix = "";
+      while (prefix.length < value.length && value[prefix.length] === otherValue[prefix.length]) {
+        prefix += value[prefix.length];
+      }
+      prefix = prefix.replace(/\d+$/, "");
+      if (prefix.length >= 3 && !/\d/.test(prefix)) {
+        selector += `[${name}^=${JSON.stringify(prefix)}]`;
+      }
+    });
+    return selector;
+  }
+
+  // A bare tag name ("div") would match half the page, custom elements ("user-query") are fine
+  function isDistinctiveSignature(signature) {
+    return Boolean(signature) && /[.[-]/.test(signature);
+  }
+
+  function getAncestorChain(element, stopAt) {
+    const chain = [];
+    for (let el = element; el && el !== stopAt; el = el.parentElement) {
+      chain.unshift(el);
+    }
+    return chain; // Outermost first
+  }
+
+  /**
+   * Finds the outermost element around the anchor that looks like nothing around the other anchor,
+   * i.e. the element that makes a message a user message (or an assistant message).
+   * @param {boolean} skipBranch - The turns look alike, so the role is somewhere inside them.
+   */
+  function findRoleElement(anchor, otherAnchor, commonAncestor, skipBranch) {
+    const otherChain = getAncestorChain(otherAnchor, commonAncestor);
+    for (const el of getAncestorChain(anchor, commonAncestor).slice(skipBranch ? 1 : 0)) {
+      const signature = buildSignature(el);
+      if (isDistinctiveSignature(signature) && !otherChain.some((otherEl) => otherEl.matches(signature))) {
+        return { element: el, signature };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Infers selectors from a user anchor and an assistant anchor.
+   * @returns {{turnSelector: string, messageSelector?: string, userSelector: string, assistantSelector: string} | null}
+   */
+  function inferSelectors(userAnchor, assistantAnchor) {
+    let commonAncestor = userAnchor.parentElement;
+    while (commonAncestor && !commonAncestor.contains(assistantAnchor)) {
+      commonAncestor = commonAncestor.parentElement;
+    }
+    if (!commonAncestor) {
+      return null;
+    }
+
+    // The repeating unit: the children of the common ancestor holding each anchor, if they look alike
+    const [userBranch, assistantBranch] = [userAnchor, assistantAnchor]
+      .map((anchor) => getAncestorChain(anchor, commonAncestor)[0]);
+    const turnSignature = buildSignature(userBranch, assistantBranch);
+    const hasRepeatingTurn = isDistinctiveSignature(turnSignature);
+
+    const userRole = findRoleElement(userAnchor, assistantAnchor, commonAncestor, hasRepeatingTurn);
+    const assistantRole = findRoleElement(assistantAnchor, userAnchor, commonAncestor, hasRepeatingTurn);
+    if (!userRole || !assistantRole) {
+      return null;
+    }
+
+    // Anchor everything below the nearest recognizable ancestor, so the selectors stay inside the chat
+    let scope = commonAncestor;
+    while (scope !== document.body && !isDistinctiveSignature(buildSignature(scope))) {
+      scope = scope.parentElement;
+    }
+    const scopeSelector = scope === document.body ? "body" : buildSignature(scope);
+    const userSelector = `${scopeSelector} ${userRole.signature}`;
+    const assistantSelector = `${scopeSelector} ${assistantRole.signature}`;
+
+    const selectors = hasRepeatingTurn
+      ? {
+        turnSelector: `${scopeSelector === "body" ? "" : `${scopeSelector} `}${turnSignature}`,
+        messageSelector: `${userRole.signature}, ${assistantRole.signature}`,
+        userSelector,
+        assistantSelector,
+      }
+      : { turnSelector: `${userSelector}, ${assistantSelector}`, userSelector, assistantSelector };
+
+    // Make sure the result actually tells the two anchors apart
+    const isValid =
+      userRole.element.matches(userSelector) && !userRole.element.matches(assistantSelector) &&
+      assistantRole.element.matches(assistantSelector) && !assistantRole.element.matches(userSelector) &&
+      document.querySelectorAll(selectors.turnSelector).length > 0;
+    return isValid ? selectors : null;
+  }
+
+  /**
+   * Wraps an adapter so it extracts with learned selectors.
+   * @returns {SiteAdapter}
+   */
+  function createLearnedAdapter(adapter, learned) {
+    return {
+      ...adapter,
+      turnSelector: learned.turnSelector,
+      messageSelector: learned.messageSelector,
+      getRole: (el) => (el.matches(learned.userSelector) ? "user" : el.matches(learned.assistantSelector) ? "assistant" : null),
+      getContent: (el) => el,
+    };
+  }
+
+  /**
+   * Returns an adapter using the selectors learned for this host, as long as they still match.
+   * @returns {SiteAdapter | null}
+   */
+  function getLearnedAdapter(adapter) {
+    const learned = GM_getValue(STORAGE_KEY_LEARNED_SELECTORS, {})[window.location.hostname];
+    if (!learned) return null;
+
+    try {
+      return document.querySelector(learned.turnSelector) ? createLearnedAdapter(adapter, learned) : null;
+    } catch (error) {
+      return null; // Not a valid selector anymore
+    }
+  }
+
+  /**
+   * The built-in adapter while its selectors match the page, else one with the selectors learned earlier.
+   * @returns {SiteAdapter | null} null if neither matches (yet).
+   */
+  function getMatchingAdapter(adapter) {
+    if (adapter.turnSelector && document.querySelector(adapter.turnSelector)) {
+      return adapter;
+    }
+    return getLearnedAdapter(adapter);
+  }
+
+  /**
+   * Asks the user for a piece of their first query and of a reply, then learns and stores selectors from them.
+   * @returns {SiteAdapter | null} An adapter using the learned selectors, or null if learning failed.
+   */
+  function learnConversationSelectors(adapter) {
+    const learnedByHost = GM_getValue(STORAGE_KEY_LEARNED_SELECTORS, {});
+    if (learnedByHost[window.location.hostname]) {
+      console.log(`[SelectorLearning] Learned selectors for ${window.location.hostname} stopped matching.`);
+      delete learnedByHost[window.location.hostname];
+      GM_setValue(STORAGE_KEY_LEARNED_SELECTORS, learnedByHost);
+    }
+
+    // Step 1: Anchor on the first query
+    const initialQuery = prompt(
+      "Could not find conversation using the default selector. Please paste the **exact, visible text** of your **very first query** in the conversation below:",
+      ""
+    );
+    if (!initialQuery) {
+      alert("Extraction cancelled.");
+      return null;
+    }
+    const userAnchor = findNodeByText(initialQuery);
+    if (!userAnchor) {
+      alert("Could not find any element containing that text. Extraction failed.");
+      return null;
+    }
+
+    // Step 2: Anchor on a reply, to tell the roles apart
+    const replyText = prompt(
+      "Now paste a short piece of **exact, visible text** from **any reply** of the assistant:",
+      ""
+    );
+    if (!replyText) {
+      alert("Extraction cancelled.");
+      return null;
+    }
+    const assistantAnchor = findNodeByText(replyText);
+    if (!assistantAnchor) {
+      alert("Could not find any element containing that text. Extraction failed.");
+      return null;
+    }
+
+    // Step 3: Compare the structure around both anchors
+    let selectors = null;
+    try {
+      selectors = inferSelectors(userAnchor, assistantAnchor);
+    } catch (error) {
+      console.error("[SelectorLearning] Could not infer selectors:", error);
+    }
+    if (!selectors) {
+      alert("Found the text, but couldn't determine the conversation block structure. Extraction failed.");
+      return null;
+    }
+
+    // Step 4: Remember them for this site
+    learnedByHost[window.location.hostname] = { ...selectors, learnedAt: new Date().toISOString() };
+    GM_setValue(STORAGE_KEY_LEARNED_SELECTORS, learnedByHost);
+    console.log(`[SelectorLearning] Learned selectors for ${window.location.hostname}:`, selectors);
+    return createLearnedAdapter(adapter, selectors);
+  }
+
+  // --- [HTML TO MARKDOWN] ---
+  // Elements that never carry message content (copy buttons, icons, screen-reader labels, code headers)
+  const MD_SKIP_SELECTOR = 'script, style, noscript, template, button, svg, mat-icon, .sr-only, .code-block-decoration';
+  const MD_BLOCK_TAGS = new Set(["P", "DIV", "SECTION", "ARTICLE", "HEADER", "FOOTER", "FIGURE", "DETAILS", "SUMMARY"]);
+
+  /**
+   * Converts a rendered response container into GitHub-flavoured Markdown.
+   * Keeps headings, nested lists, tables, links, inline code, fenced code with its language and LaTeX math.
+   * @param {HTMLElement} root - The element holding the rendered message.
+   * @returns {string} The Markdown text.
+   */
+  function htmlToMarkdown(root) {
+    const markdown = convertChildrenToMarkdown(root, { listDepth: 0 });
+    return formatMessageContent(markdown.replace(/[ \t]+\n/g, "\n"));
+  }
+
+  function convertChildrenToMarkdown(element, context) {
+    let markdown = "";
+    element.childNodes.forEach((child) => {
+      markdown += convertNodeToMarkdown(child, context);
+    });
+    return markdown;
+  }
+
+  function convertNodeToMarkdown(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.nodeValue.replace(/\s+/g, " ");
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(MD_SKIP_SELECTOR)) {
+      return "";
+    }
+
+    const math = getLatexSource(node);
+    if (math !== null) {
+      const mathml = node.querySelector("math");
+      if (mathml) {
+        renderedMath.set(math.tex, mathml.outerHTML);
+      }
+      return math.display ? `\n\n$$\n${math.tex}\n$$\n\n` : `$${math.tex}$`;
+    }
+
+    const tag = node.tagName;
+    const inner = () => convertChildrenToMarkdown(node, context);
+
+    switch (tag) {
+      case "H1": case "H2": case "H3": case "H4": case "H5": case "H6":
+        return `\n\n${"#".repeat(Number(tag[1]))} ${inner().trim()}\n\n`;
+      case "BR":
+        return "\n";
+      case "HR":
+        return "\n\n---\n\n";
+      case "STRONG": case "B":
+        return wrapInline(inner(), "**");
+      case "EM": case "I":
+        return wrapInline(inner(), "*");
+      case "DEL": case "S":
+        return wrapInline(inner(), "~~");
+      case "CODE":
+        return wrapInlineCode(node.textContent);
+      case "PRE":
+        return `\n\n${convertCodeBlock(node)}\n\n`;
+      case "A": {
+        const text = inner().trim();
+        const href = node.getAttribute("href");
+        if (!href || href.startsWith("javascript:")) return text;
+        if (!text || text === href) return `<${node.href}>`;
+        return `[${text}](${node.href})`;
+      }
+      case "IMG": {
+        const src = node.getAttribute("src");
+        return src ? `![${node.getAttribute("alt") || ""}](${node.src})` : "";
+      }
+      case "UL": case "OL":
+        // Nested lists stay tight against their parent item
+        return context.listDepth > 0
+          ? `\n${convertList(node, context)}\n`
+          : `\n\n${convertList(node, context)}\n\n`;
+      case "BLOCKQUOTE":
+        return `\n\n${inner().trim().replace(/\n{3,}/g, "\n\n").replace(/^/gm, "> ")}\n\n`;
+      case "TABLE":
+        return `\n\n${convertTable(node, context)}\n\n`;
+      default:
+        return MD_BLOCK_TAGS.has(tag) ? `\n\n${inner()}\n\n` : inner();
+    }
+  }
+
+  function wrapInline(text, marker) {
+    const trimmed = text.trim();
+    if (!trimmed) return text;
+    // Keep surrounding spaces outside the markers, or the emphasis won't render
+    const leading = text.match(/^\s*/)[0];
+    const trailing = text.match(/\s*$/)[0];
+    return `${leading}${marker}${trimmed}${marker}${trailing}`;
+  }
+
+  function wrapInlineCode(code) {
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+    const fence = "`".repeat(longestRun + 1);
+    const padding = code.startsWith("`") || code.endsWith("`") ? " " : "";
+    return `${fence}${padding}${code}${padding}${fence}`;
+  }
+
+  function getCodeLanguage(pre) {
+    const code = pre.querySelector("code") || pre;
+    const langClass = [...code.classList, ...pre.classList].find((name) => /^(language|lang)-/.test(name));
+    if (langClass) {
+      return langClass.replace(/^(language|lang)-/, "");
+    }
+
+    // Gemini shows the language in a header above the code
+    const decoration = pre.closest("code-block")?.querySelector(".code-block-decoration");
+    const label = decoration?.textContent.trim().split(/\s+/)[0];
+    return label && /^[\w+#.-]+$/.test(label) ? label.toLowerCase() : "";
+  }
+
+  function convertCodeBlock(pre) {
+    const code = (pre.querySelector("code") || pre).textContent.replace(/\n$/, "");
+    const longestRun = Math.max(0, ...(code.match(/`{3,}/g) || []).map((run) => run.length));
+    const fence = "`".repeat(Math.max(3, longestRun + 1));
+    return `${fence}${getCodeLanguage(pre)}\n${code}\n${fence}`;
+  }
+
+  function convertList(list, context) {
+    const ordered = list.tagName === "OL";
+    let number = Number(list.getAttribute("start") || 1);
+    const childContext = { ...context, listDepth: context.listDepth + 1 };
+
+    return [...list.children]
+      .filter((item) => item.tagName === "LI")
+      .map((item) => {
+        const marker = ordered ? `${number++}.` : "-";
+        const content = convertChildrenToMarkdown(item, childContext)
+          .replace(/\n{3,}/g, "\n\n")
+          .trim()
+          // Continuation lines (and nested lists) line up under the item text
+          .replace(/\n(?!\n)/g, `\n${" ".repeat(marker.length + 1)}`);
+        return `${marker} ${content}`;
+      })
+      .join("\n");
+  }
+
+  function convertTable(table, context) {
+    const rows = [...table.querySelectorAll("tr")].map((row) =>
+      [...row.children]
+        .filter((cell) => cell.tagName === "TH" || cell.tagName === "TD")
+        .map((cell) =>
+          convertChildrenToMarkdown(cell, context)
+            .trim()
+            .replace(/\n+/g, "<br>")
+            .replace(/\|/g, "\\|")
+        )
+    );
+    if (rows.length === 0) return "";
+
+    const columnCount = Math.max(...rows.map((row) => row.length));
+    const toLine = (cells) =>
+      `| ${Array.from({ length: columnCount }, (_, i) => cells[i] || "").join(" | ")} |`;
+
+    const [header, ...body] = rows;
+    return [toLine(header), toLine(Array(columnCount).fill("---")), ...body.map(toLine)].join("\n");
+  }
+
+  // TeX source -> the MathML the page rendered for it, so the HTML export can show formulas without a math library
+  const renderedMath = new Map();
+
+  /**
+   * Recovers the LaTeX source of a rendered KaTeX or MathJax formula.
+   * @returns {{tex: string, display: boolean} | null} null if the node is not a formula.
+   */
+  function getLatexSource(node) {
+    // Gemini keeps the source on the wrapper
+    if (node.matches(".math-inline, .math-block") && node.dataset.math) {
+      return { tex: node.dataset.math.trim(), display: node.matches(".math-block") };
+    }
+
+    // KaTeX and MathJax (with assistive MathML) keep a TeX annotation
+    if (node.matches(".katex-display, .katex, mjx-container")) {
+      const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+      const display = node.matches(".katex-display") || node.getAttribute("display") === "true";
+      if (annotation) {
+        return { tex: annotation.textContent.trim(), display };
+      }
+
+      // Older MathJax leaves the source in a script next to the output
+      const script = node.nextElementSibling;
+      if (script?.matches('script[type^="math/tex"]')) {
+        return { tex: script.textContent.trim(), display: script.type.includes("mode=display") };
+      }
+    }
+    return null;
+  }
+
+  function formatMessageContent(text) {
+    // Clean up extra whitespace outside of code blocks, code is kept verbatim
+    const parts = text.trim().split(/(```[\w+#.-]*\n[\s\S]*?\n```)/g);
+
+    return parts
+      .map((part, index) => {
+        if (index % 2 === 0) {
+          return part.replace(/\n{3,}/g, "\n\n");
+        }
+
+        // Format code blocks: drop blank lines around the code but keep its indentation
+        return part.replace(/^```([\w+#.-]*)\n([\s\S]*?)\n```$/, (match, lang, code) => {
+          return `\`\`\`${lang || ""}\n${code.replace(/^\n+|\s+$/g, "")}\n\`\`\``;
+        });
+      })
+      .join("");
+  }
+
+  function formatConversationText(role, conversationText) {
+    let textContent = redactForExport(formatMessageContent(conversationText));
+
+    if (textContent) {
+      // Use simple Markdown-like formatting for structure
+      textContent = `**${role}:**\n${textContent}\n\n---\n\n`;
+    } else {
+      textContent = `**${role}:{Could not extract text}**\n\n---\n\n`;
+    }
+    return textContent;
+  }
+
+  // --- [BRANCHES] ---
+  // Regenerated answers and edited prompts keep their alternatives behind the site's own controls
+  // ("< 2/3 >" on ChatGPT, drafts on Gemini). Walking those controls exports every branch.
+  const VARIANT_COUNTER_PATTERN = /^\s*(\d+)\s*\/\s*(\d+)\s*$/;
+  const VARIANT_SWITCH_TIMEOUT = 5000;
+  const VARIANT_SETTLE_MS = 800;
+  const MAX_BRANCH_DEPTH = 8; // Forks inside forks, before giving up on the rest
+  let branchWalkActive = false; // The page shows other versions while this is set, see scheduleArchive
+
+  /**
+   * @typedef {Object} VariantNavigator
+   * @property {boolean} branching - Switching a variant replaces the rest of the conversation (a tree, not drafts).
+   * @property {(message: HTMLElement) => Promise<{current: number, count: number} | null>} getState
+   * @property {(adapter: SiteAdapter, index: number, variant: number) => Promise<boolean>} select
+   *   Shows the 1-based variant of the message at the index, re-finding it after every re-render.
+   */
+
+  function getMessageAt(adapter, index) {
+    return listMessageElements(adapter, document.querySelectorAll(adapter.turnSelector))[index] || null;
+  }
+
+  // Waits for a re-render to change what describe() returns, then a moment longer for the rest to follow
+  async function waitForChange(describe, before) {
+    const deadline = Date.now() + VARIANT_SWITCH_TIMEOUT;
+    while (Date.now() < deadline && describe() === before) {
+      await delay(100);
+    }
+    await delay(VARIANT_SETTLE_MS);
+  }
+
+  function findVariantCounter(message) {
+    return [...message.querySelectorAll("div, span")]
+      .find((el) => el.children.length === 0 && VARIANT_COUNTER_PATTERN.test(el.textContent)) || null;
+  }
+
+  /** A "< 2/3 >" pager next to the message (ChatGPT). */
+  const PAGER_VARIANTS = {
+    branching: true,
+    async getState(message) {
+      const counter = findVariantCounter(message);
+      if (!counter) return null;
+      const [, current, count] = counter.textContent.match(VARIANT_COUNTER_PATTERN).map(Number);
+      return { current, count };
+    },
+    async select(adapter, index, variant) {
+      for (let step = 0; step < 50; step++) {
+        const message = getMessageAt(adapter, index);
+        const counter = message && findVariantCounter(message);
+        if (!counter) return false;
+
+        const current = Number(counter.textContent.match(VARIANT_COUNTER_PATTERN)[1]);
+        if (current === variant) return true;
+
+        // The buttons sit on either side of the counter, sometimes wrapped in tooltips
+        const buttons = counter.parentElement.querySelectorAll("button");
+        const button = current > variant ? buttons[0] : buttons[buttons.length - 1];
+        if (!button || button.disabled) return false;
+
+        const before = counter.textContent;
+        button.click();
+        await waitForChange(() => {
+          const counterNow = getMessageAt(adapter, index);
+          return counterNow ? findVariantCounter(counterNow)?.textContent : null;
+        }, before);
+      }
+      return false;
+    },
+  };
+
+  /** A list of drafts behind a "Show drafts" toggle (Gemini). Drafts don't change the turns after them. */
+  const GEMINI_DRAFT_VARIANTS = {
+    branching: false,
+    toggleSelector: 'button[aria-label*="draft" i], [data-test-id*="drafts-button"]',
+    optionSelector: '[data-test-id*="draft"] [role="radio"], [role="radiogroup"] [role="radio"], .draft-preview',
+    /**
+     * Runs use(options) with the drafts list open, closing it again afterwards if it was closed before.
+     */
+    async withOptions(message, use) {
+      const response = message.closest("model-response") || message;
+      let options = response.querySelectorAll(this.optionSelector);
+      const toggle = response.querySelector(this.toggleSelector);
+      const opened = options.length === 0 && toggle;
+      if (opened) {
+        toggle.click();
+        await delay(VARIANT_SETTLE_MS);
+        options = response.querySelectorAll(this.optionSelector);
+      }
+      try {
+        return await use([...options]);
+      } finally {
+        if (opened && toggle.isConnected && response.querySelector(this.optionSelector)) {
+          toggle.click();
+          await delay(VARIANT_SETTLE_MS);
+        }
+      }
+    },
+    async getState(message) {
+      if (message.matches("user-query")) return null;
+      return this.withOptions(message, (options) => {
+        if (options.length < 2) return null;
+
+        const current = options.findIndex((option) =>
+          option.getAttribute("aria-checked") === "true" || option.getAttribute("aria-selected") === "true" ||
+          option.classList.contains("selected")
+        );
+        return { current: Math.max(current, 0) + 1, count: options.length };
+      });
+    },
+    async select(adapter, index, variant) {
+      const message = getMessageAt(adapter, index);
+      if (!message) return false;
+
+      return this.withOptions(message, async (options) => {
+        const option = options[variant - 1];
+        if (!option) return false;
+
+        const before = message.innerText;
+        option.click();
+        await waitForChange(() => getMessageAt(adapter, index)?.innerText, before);
+        return true;
+      });
+    },
+  };
+
+  /**
+   * Extracts the conversation from the given message on, walking every variant of every forked message.
+   * A turn with alternatives gets variants: [{ variant, selected, turns }], where turns starts with that
+   * variant of the message. On branching sites each variant holds the rest of its branch, so the fork
+   * is the last turn of its list; otherwise (drafts) the list continues after it.
+   * @returns {Promise<Turn[]>}
+   */
+  async function walkBranches(adapter, startIndex = 0, depth = 0) {
+    const { variantNavigator } = adapter;
+    const turns = [];
+
+    for (let index = startIndex; ; index++) {
+      const message = getMessageAt(adapter, index);
+      if (!message) {
+        return turns;
+      }
+
+      const state = depth < MAX_BRANCH_DEPTH ? await variantNavigator.getState(message) : null;
+      if (!state || state.count < 2) {
+        turns.push(createTurn(adapter, message));
+        continue;
+      }
+
+      const fork = { ...createTurn(adapter, message), variants: [] };
+      for (let variant = 1; variant <= state.count; variant++) {
+        if (!(await variantNavigator.select(adapter, index, variant))) {
+          console.warn(`[Branches] Could not switch message ${index} to variant ${variant}.`);
+          continue;
+        }
+        const variantTurns = [createTurn(adapter, getMessageAt(adapter, index))];
+        if (variantNavigator.branching) {
+          variantTurns.push(...(await walkBranches(adapter, index + 1, depth + 1)));
+        }
+        fork.variants.push({ variant, selected: variant === state.current, turns: variantTurns });
+      }
+
+      // Leave the page showing what the user was looking at
+      await variantNavigator.select(adapter, index, state.current);
+      turns.push(fork);
+      if (variantNavigator.branching) {
+        return turns;
+      }
+    }
+  }
+
+  // --- [SITE ADAPTERS] ---
+  /**
+   * @typedef {Object} Turn
+   * @property {string} role - 'user' or 'assistant'.
+   * @property {string} roleName - Display name used in the Markdown export.
+   * @property {string} text - The plain visible text of the message.
+   * @property {string} markdown - The message converted to Markdown.
+   * @property {{kind: string, url: string, name: string}[]} [attachments] - Images and files, see collectAttachments.
+   * @property {{variant: number, selected: boolean, turns: Turn[]}[]} [variants] - Only in branch exports, see walkBranches.
+   */
+
+  /**
+   * @typedef {Object} SiteAdapter
+   * @property {string} platform - Short id written into exports.
+   * @property {string[]} hosts - Hostnames (and their subdomains) the adapter handles.
+   * @property {RegExp} conversationIdPattern - Captures the conversation ID from the URL path.
+   * @property {string} turnSelector - Selects the repeating turn containers.
+   * @property {string} [messageSelector] - Splits a turn container into messages, when one turn holds both roles.
+   * @property {(message: HTMLElement) => string} getRole - Returns 'user' or 'assistant'.
+   * @property {(message: HTMLElement, role: string) => HTMLElement} getContent - Returns the element holding the message body.
+   * @property {{user: string, assistant: string}} roleNames - Display names for the Markdown export.
+   * @property {string} composerSelector - The message box.
+   * @property {string} sendButtonSelector - The enabled send button.
+   * @property {string} stopButtonSelector - Only present while a response is being generated.
+   * @property {string} [sidebarLinkSelector] - Links to the conversations in the sidebar, enables bulk export.
+   * @property {VariantNavigator} [variantNavigator] - Switches between regenerated or edited versions of a message.
+   * @property {string} [artifactSelector] - Canvas/artifact panes shown next to the chat.
+   * @property {string} [modelSelector] - Shows the model name (or carries it in data-message-model-slug).
+   */
+
+  /** @type {SiteAdapter[]} */
+  const SITE_ADAPTERS = [
+    {
+      platform: "gemini",
+      hosts: ["gemini.google.com"],
+      conversationIdPattern: /\/app\/([\w-]+)/,
+      turnSelector: ".conversation-container",
+      // Each container holds both the user query and the model response
+      messageSelector: "user-query, response-container",
+      getRole: (message) => (message.matches("user-query") ? "user" : "assistant"),
+      getContent: (message, role) =>
+        role === "user" ? message : message.querySelector(".markdown") || message,
+      roleNames: { user: "👤 User", assistant: "🤖 Gemini" },
+      composerSelector: 'rich-textarea [contenteditable="true"]',
+      sidebarLinkSelector: 'a[href*="/app/"]',
+      variantNavigator: GEMINI_DRAFT_VARIANTS,
+      artifactSelector: "immersive-panel, code-immersive-panel",
+      modelSelector: '[data-test-id="bard-mode-menu-button"] span, .current-mode-title',
+      sendButtonSelector: 'button.send-button:not(.stop)',
+      stopButtonSelector: 'button.send-button.stop, button[aria-label="Stop response"]',
+    },
+    {
+      platform: "chatgpt",
+      hosts: ["chatgpt.com", "chat.openai.com"],
+      conversationIdPattern: /\/c\/([\w-]+)/,
+      turnSelector: 'article[data-testid^="conversation-turn-"]',
+      // The role is stored in the 'data-turn' attribute: 'user' or 'assistant'
+      getRole: (article) => article.getAttribute("data-turn"),
+      // The message body, without the "You said:" / "ChatGPT said:" labels
+      getContent: (article, role) =>
+        article.querySelector(role === "user" ? '[data-message-author-role="user"]' : ".markdown") || article,
+      roleNames: { user: "👤 User", assistant: "🤖 ChatGPT" },
+      composerSelector: "#prompt-textarea",
+      sidebarLinkSelector: 'nav a[href*="/c/"]',
+      variantNavigator: PAGER_VARIANTS,
+      artifactSelector: '[data-testid*="canvas"] .ProseMirror, [id^="textdoc-message"]',
+      modelSelector: "[data-message-model-slug]",
+      sendButtonSelector: '[data-testid="send-button"], #composer-submit-button',
+      stopButtonSelector: '[data-testid="stop-button"]',
+    },
+    {
+      platform: "claude",
+      hosts: ["claude.ai"],
+      conversationIdPattern: /\/chat\/([\w-]+)/,
+      turnSelector: '[data-testid="user-message"], .font-claude-response, .font-claude-message',
+      getRole: (message) => (message.matches('[data-testid="user-message"]') ? "user" : "assistant"),
+      getContent: (message) => message,
+      roleNames: { user: "👤 User", assistant: "🤖 Claude" },
+      composerSelector: 'div.ProseMirror[contenteditable="true"]',
+      artifactSelector: '#markdown-artifact, [data-testid="artifact-view"]',
+      modelSelector: '[data-testid="model-selector-dropdown"]',
+      sendButtonSelector: 'button[aria-label="Send message"], button[aria-label="Send Message"]',
+      stopButtonSelector: 'button[aria-label="Stop response"]',
+    },
+    {
+      platform: "perplexity",
+      hosts: ["perplexity.ai"],
+      conversationIdPattern: /\/search\/([\w.-]+)/,
+      turnSelector: '[class*="group/query"], [id^="markdown-content-"]',
+      getRole: (message) => (message.matches('[class*="group/query"]') ? "user" : "assistant"),
+      getContent: (message, role) =>
+        role === "user" ? message : message.querySelector(".prose") || message,
+      roleNames: { user: "👤 User", assistant: "🤖 Perplexity" },
+      composerSelector: '#ask-input, textarea[placeholder]',
+      sendButtonSelector: 'button[aria-label="Submit"]',
+      stopButtonSelector: 'button[aria-label="Stop"], button[aria-label="Stop generating response"]',
+    },
+    {
+      platform: "mistral",
+      hosts: ["chat.mistral.ai"],
+      conversationIdPattern: /\/chat\/([\w-]+)/,
+      turnSelector: "[data-message-author-role]",
+      getRole: (message) => (message.getAttribute("data-message-author-role") === "user" ? "user" : "assistant"),
+      getContent: (message, role) =>
+        role === "user" ? message : message.querySelector(".prose, [data-message-part-type='answer']") || message,
+      roleNames: { user: "👤 User", assistant: "🤖 Le Chat" },
+      composerSelector: 'div.ProseMirror[contenteditable="true"], textarea',
+      sendButtonSelector: 'button[type="submit"], button[aria-label="Send question"]',
+      stopButtonSelector: 'button[aria-label="Stop"], button[aria-label="Stop generation"]',
+    },
+  ];
+
+  const UNSUPPORTED_ADAPTER = {
+    platform: "",
+    hosts: [],
+    conversationIdPattern: null,
+    turnSelector: "",
+    getRole: () => "",
+    getContent: (message) => message,
+    roleNames: { user: "👤 User", assistant: "🤖 Assistant" },
+    composerSelector: "",
+    sendButtonSelector: "",
+    stopButtonSelector: "",
+  };
+
+  /**
+   * Finds the adapter whose match rules cover the current site.
+   * @param {string} hostname - e.g. window.location.hostname
+   * @returns {SiteAdapter}
+   */
+  function getActiveAdapter(hostname) {
+    return (
+      SITE_ADAPTERS.find((adapter) =>
+        adapter.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`))
+      ) || UNSUPPORTED_ADAPTER
+    );
+  }
+
+  /**
+   * Reads the ID of the open conversation from the URL.
+   * @returns {string} The ID, or "" on a new chat that hasn't been sent yet.
+   */
+  function getConversationId(adapter, pathname) {
+    const match = adapter.conversationIdPattern && pathname.match(adapter.conversationIdPattern);
+    return match ? match[1] : "";
+  }
+
+  /**
+   * Lists the user and assistant message elements inside the turn containers, in page order.
+   * @param {SiteAdapter} adapter - The adapter for the current site.
+   * @param {NodeListOf<HTMLElement>} turnContainers - Containers matched by adapter.turnSelector.
+   * @returns {HTMLElement[]}
+   */
+  function listMessageElements(adapter, turnContainers) {
+    const messages = [];
+
+    turnContainers.forEach((container) => {
+      // Selectors that match both a wrapper and its child would export the message twice
+      if (container.parentElement?.closest(adapter.turnSelector)) {
+        return;
+      }
+
+      const candidates = adapter.messageSelector
+        ? container.querySelectorAll(adapter.messageSelector)
+        : [container];
+
+      candidates.forEach((message) => {
+        const role = adapter.getRole(message);
+        if (role === "user" || role === "assistant") {
+          messages.push(message);
+        }
+      });
+    });
+
+    return messages;
+  }
+
+  /**
+   * Extracts one message element into a turn.
+   * @returns {Turn}
+   */
+  function createTurn(adapter, message) {
+    const role = adapter.getRole(message);
+    // User messages are plain text, so the visible text is already the Markdown
+    const content = adapter.getContent(message, role);
+    const attachments = collectAttachments(message);
+    return {
+      role,
+      roleName: adapter.roleNames[role],
+      text: content.innerText,
+      markdown: role === "user" ? content.innerText : htmlToMarkdown(content),
+      ...(attachments.length && { attachments }),
+    };
+  }
+
+  /**
+   * Extracts the turns of a conversation using a site adapter.
+   * @param {SiteAdapter} adapter - The adapter for the current site.
+   * @param {NodeListOf<HTMLElement>} turnContainers - Containers matched by adapter.turnSelector.
+   * @returns {Turn[]}
+   */
+  function extractConversationTurns(adapter, turnContainers) {
+    return listMessageElements(adapter, turnContainers).map((message) => createTurn(adapter, message));
+  }
+
+  /**
+   * Picks the fuller of the network capture and the rendered page, without asking the user anything.
+   * @returns {Turn[]} Empty if neither has the conversation.
+   */
+  function collectConversationTurns(adapter) {
+    const capturedTurns = getCapturedTurns(adapter);
+    let renderedTurns = adapter.turnSelector
+      ? extractConversationTurns(adapter, document.querySelectorAll(adapter.turnSelector))
+      : [];
+    const learnedAdapter = renderedTurns.length === 0 && getLearnedAdapter(adapter);
+    if (learnedAdapter) {
+      renderedTurns = extractConversationTurns(learnedAdapter, document.querySelectorAll(learnedAdapter.turnSelector));
+    }
+
+    // A capture can miss turns loaded before the script ran, the page can miss unmounted ones
+    if (capturedTurns && capturedTurns.length >= renderedTurns.length) {
+      // The network text has no images, borrow them from the rendered turns (the newest ones, if some are unmounted)
+      const offset = capturedTurns.length - renderedTurns.length;
+      renderedTurns.forEach((turn, index) => {
+        const captured = capturedTurns[offset + index];
+        if (turn.attachments && captured.role === turn.role) {
+          captured.attachments = turn.attachments;
+        }
+      });
+      return capturedTurns;
+    }
+    return renderedTurns;
+  }
+
+  function createFileContent(conversationText) {
+    let content = `# Chat Conversation Export\n\n`;
+    let currDate = new Date().toISOString().slice(0, 10);
+    content += `**Date:** ${currDate}\n\n---\n\n`;
+    content += conversationText;
+
+    return content;
+  }
+
+  /**
+   * Formats turns, rendering the variants of a forked message as nested sections.
+   */
+  function formatTurnsText(turns, depth = 0) {
+    return turns
+      .map((turn) => {
+        if (!turn.variants) {
+          return formatConversationText(turn.roleName, turn.markdown);
+        }
+        const heading = "#".repeat(Math.min(depth + 2, 6));
+        return turn.variants
+          .map(({ variant, selected, turns: variantTurns }) =>
+            `${heading} ${turn.roleName}: version ${variant}/${turn.variants.length}${selected ? " (shown)" : ""}\n\n` +
+            formatTurnsText(variantTurns, depth + 1)
+          )
+          .join("");
+      })
+      .join("");
+  }
+
+  function createMarkdownContent(conversation) {
+    return createFileContent(formatTurnsText(conversation.turns));
+  }
+
+  function serializeTurns(turns) {
+    return turns.map((turn, index) => ({
+      index,
+      role: turn.role,
+      text: redactForExport(turn.text.trim()),
+      markdown: redactForExport(formatMessageContent(turn.markdown)),
+      ...(turn.attachments && {
+        attachments: turn.attachments.map(({ kind, url, name }) => ({ kind, url, name })),
+      }),
+      ...(turn.variants && {
+        variants: turn.variants.map(({ variant, selected, turns: variantTurns }) => ({
+          variant,
+          selected,
+          turns: serializeTurns(variantTurns),
+        })),
+      }),
+    }));
+  }
+
+  /**
+   * Serializes a conversation using the JSON export schema:
+   * { schemaVersion, platform, url, title, exportedAt, turns: [{ index, role, text, markdown, attachments?, variants? }] }
+   * variants ([{ variant, selected, turns }]) only appears on forked messages in branch exports.
+   */
+  function createJsonContent(conversation) {
+    const data = {
+      schemaVersion: JSON_SCHEMA_VERSION,
+      platform: conversation.platform,
+      url: conversation.url,
+      title: redactForExport(conversation.title || ""),
+      exportedAt: conversation.exportedAt,
+      turns: serializeTurns(conversation.turns),
+    };
+    return JSON.stringify(data, null, 2);
+  }
+
+  // --- [ATTACHMENTS] ---
+  // Images, uploaded files and artifact panes. Fetched right before an export that bundles them,
+  // then linked relatively (ZIP) or embedded as data URIs (HTML). Anything the browser won't
+  // let us fetch keeps its original URL.
+  const ATTACHMENT_MIN_IMAGE_SIZE = 48; // Smaller images are icons and avatars
+  const ATTACHMENT_LINK_PATTERN = /\.(pdf|docx?|xlsx?|pptx?|csv|tsv|txt|md|json|xml|zip|png|jpe?g|gif|webp|svg|mp3|mp4|wav|webm)$/i;
+  const ASSET_EXTENSIONS = {
+    "image/png": ".png", "image/jpeg": ".jpg", "image/gif": ".gif", "image/webp": ".webp", "image/svg+xml": ".svg",
+    "application/pdf": ".pdf", "text/plain": ".txt", "text/csv": ".csv", "application/json": ".json",
+  };
+
+  /**
+   * Finds the images and file links in a message.
+   * @returns {{kind: string, url: string, name: string}[]} kind is "image" or "file".
+   */
+  function collectAttachments(message) {
+    const attachments = [];
+    const seen = new Set();
+
+    message.querySelectorAll("img").forEach((img) => {
+      const url = img.currentSrc || img.src;
+      const isIcon = img.naturalWidth > 0 && img.naturalWidth < ATTACHMENT_MIN_IMAGE_SIZE &&
+        img.naturalHeight < ATTACHMENT_MIN_IMAGE_SIZE;
+      if (!url || isIcon || seen.has(url)) return;
+      seen.add(url);
+      attachments.push({ kind: "image", url, name: img.alt || "" });
+    });
+
+    message.querySelectorAll("a[href]").forEach((link) => {
+      const url = link.href;
+      if (seen.has(url) || url.startsWith("javascript:")) return;
+      if (!link.hasAttribute("download") && !ATTACHMENT_LINK_PATTERN.test(new URL(url).pathname)) return;
+      seen.add(url);
+      attachments.push({ kind: "file", url, name: link.getAttribute("download") || link.textContent.trim() });
+    });
+
+    return attachments;
+  }
+
+  /**
+   * Reads the open artifact/canvas panes of the page. Not redacted yet, formatArtifactsText does that.
+   * @returns {{title: string, markdown: string}[]}
+   */
+  function collectArtifacts(adapter) {
+    if (!adapter.artifactSelector) return [];
+    return [...document.querySelectorAll(adapter.artifactSelector)]
+      .map((pane, index) => ({
+        title: pane.querySelector("h1, h2, h3, [class*='title']")?.textContent.trim() || `Artifact ${index + 1}`,
+        markdown: formatMessageContent(htmlToMarkdown(pane)),
+      }))
+      .filter((artifact) => artifact.markdown);
+  }
+
+  function forEachTurn(turns, callback) {
+    turns.forEach((turn) => {
+      callback(turn);
+      turn.variants?.forEach((variant) => forEachTurn(variant.turns, callback));
+    });
+  }
+
+  /**
+   * Fetches every attachment of the conversation that the browser lets us read.
+   * @returns {Promise<Map<string, {path: string, mimeType: string, bytes: Uint8Array}>>} Keyed by the original URL.
+   */
+  async function fetchAttachments(conversation) {
+    const urls = new Map();
+    forEachTurn(conversation.turns, (turn) => {
+      turn.attachments?.forEach((attachment) => urls.set(attachment.url, attachment));
+    });
+
+    const assets = new Map();
+    let index = 0;
+    for (const [url, attachment] of urls) {
+      index++;
+      showToast(`Fetching attachments… ${index}/${urls.size}`);
+      try {
+        const response = await fetch(url, { credentials: "include" });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const blob = await response.blob();
+        const mimeType = blob.type || "application/octet-stream";
+
+        const urlName = decodeURIComponent(new URL(url).pathname.split("/").pop() || "");
+        const baseName = sanitizeFileName((attachment.name || urlName).replace(/\.\w+$/, "")) || attachment.kind;
+        const extension = (urlName.match(/\.\w{1,5}$/) || [])[0] || ASSET_EXTENSIONS[mimeType.split(";")[0]] || "";
+        assets.set(url, {
+          path: `assets/${String(index).padStart(3, "0")}-${baseName}${extension.toLowerCase()}`,
+          mimeType,
+          bytes: new Uint8Array(await blob.arrayBuffer()),
+        });
+      } catch (error) {
+        // Cross-origin without CORS, expired blob: URLs, ...
+        console.warn(`[Attachments] Keeping the link to ${url}:`, error);
+      }
+    }
+    return assets;
+  }
+
+  function toDataUri({ mimeType, bytes }) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${mimeType};base64,${btoa(binary)}`;
+  }
+
+  /**
+   * Points a conversation's Markdown at local copies of its attachments, and lists attachments
+   * the Markdown doesn't show yet (like images in user messages).
+   * @param {(url: string) => string} resolve - Returns the new link for an attachment URL.
+   * @returns {Turn[]} New turns, the originals are left as they are.
+   */
+  function linkAttachments(turns, resolve) {
+    return turns.map((turn) => {
+      let markdown = turn.markdown;
+      const missing = [];
+      (turn.attachments || []).forEach(({ kind, url, name }) => {
+        const target = resolve(url);
+        if (markdown.includes(url)) {
+          markdown = markdown.split(url).join(target);
+        } else {
+          missing.push(kind === "image" ? `![${name}](${target})` : `📎 [${name || "Attachment"}](${target})`);
+        }
+      });
+      if (missing.length) {
+        markdown = `${markdown}\n\n${missing.join("\n")}`;
+      }
+
+      return {
+        ...turn,
+        markdown,
+        ...(turn.variants && {
+          variants: turn.variants.map((variant) => ({ ...variant, turns: linkAttachments(variant.turns, resolve) })),
+        }),
+      };
+    });
+  }
+
+  function formatArtifactsText(artifacts) {
+    return artifacts.length
+      ? `## Artifacts\n\n${artifacts.map(({ title, markdown }) => `### ${redactForExport(title)}\n\n${redactForExport(markdown)}\n\n`).join("")}`
+      : "";
+  }
+
+  /**
+   * ZIP export: conversation.md plus an assets/ folder, linked relatively.
+   */
+  function createMarkdownZipContent(conversation) {
+    const assets = conversation.assets || new Map();
+    const turns = linkAttachments(conversation.turns, (url) => assets.get(url)?.path || url);
+    const markdown = createMarkdownContent({ ...conversation, turns }) + formatArtifactsText(conversation.artifacts || []);
+
+    return createZip([
+      { name: "conversation.md", content: markdown },
+      ...[...assets.values()].map((asset) => ({ name: asset.path, content: asset.bytes })),
+    ]);
+  }
+
+  // --- [MARKDOWN TO HTML] ---
+  // Just enough Markdown for our own exports: what htmlToMarkdown and the network capture produce.
+  function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+  }
+
+  /**
+   * Only web, mail, relative and inline image targets become live links, anything else (javascript: etc.) stays text.
+   */
+  function isSafeLinkTarget(url) {
+    // Browsers ignore control characters around and tabs/newlines inside a URL, so "java\tscript:" still runs
+    const scheme = url.replace(/[\u0000-\u0020]/g, "").match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return true;
+    return /^(https?|mailto)$/i.test(scheme[1]) || /^data:image\//i.test(url);
+  }
+
+  function convertInlineMarkdown(text) {
+    // Pull code spans and formulas out first, nothing inside them is Markdown
+    const codeSpans = [];
+    let html = text
+      .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, fence, code) => {
+        codeSpans.push(`<code>${escapeHtml(code.trim())}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+      })
+      // "$x^2$" but not "$5 and $10"
+      .replace(/\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)/g, (match, tex) => {
+        codeSpans.push(renderMathHtml(tex, false));
+        return `\u0000${codeSpans.length - 1}\u0000`;
+      });
+
+    html = escapeHtml(html)
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => (isSafeLinkTarget(src) ? `<img src="${src}" alt="${alt}">` : match))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => (isSafeLinkTarget(href) ? `<a href="${href}">${label}</a>` : match))
+      .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, '<a href="$1">$1</a>')
+      .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+      .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+      .replace(/~~([^~]+)~~/g, "<del>$1</del>");
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+  }
+
+  function convertListMarkdown(lines) {
+    const ordered = /^\s*\d+\./.test(lines[0]);
+    const items = [];
+    lines.forEach((line) => {
+      const item = line.match(/^(\s*)(?:[-*+]|\d+\.)\s+(.*)$/);
+      if (item && item[1].length === 0) {
+        items.push([item[2]]);
+      } else if (items.length) {
+        items[items.length - 1].push(line.replace(/^\s{1,4}/, ""));
+      }
+    });
+
+    const tag = ordered ? "ol" : "ul";
+    return `<${tag}>${items.map((item) => `<li>${markdownToHtml(item.join("\n"))}</li>`).join("")}</${tag}>`;
+  }
+
+  function convertTableMarkdown(lines) {
+    const cells = (line) => line.replace(/^\s*\|/, "").replace(/\|\s*$/, "").split(/(?<!\\)\|/).map((cell) => cell.trim());
+    const [header, , ...rows] = lines;
+    return `<table><thead><tr>${cells(header).map((cell) => `<th>${convertInlineMarkdown(cell)}</th>`).join("")}</tr></thead>` +
+      `<tbody>${rows.map((row) => `<tr>${cells(row).map((cell) => `<td>${convertInlineMarkdown(cell)}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+  }
+
+  /**
+   * Converts Markdown to HTML.
+   * @param {string} markdown
+   * @param {{headingIdPrefix?: string, headings?: {id: string, text: string}[]}} [options] - Give headings IDs and collect them.
+   * @returns {string}
+   */
+  function markdownToHtml(markdown, options = {}) {
+    const lines = markdown.split("\n");
+    const blocks = [];
+
+    for (let i = 0; i < lines.length;) {
+      const line = lines[i];
+      const fence = line.match(/^(`{3,}|~{3,})([\w+#.-]*)\s*$/);
+
+      if (fence) {
+        const code = [];
+        for (i++; i < lines.length && !lines[i].startsWith(fence[1]); i++) {
+          code.push(lines[i]);
+        }
+        i++;
+        const langClass = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : "";
+        blocks.push(`<pre><code${langClass}>${highlightCode(code.join("\n"), fence[2])}</code></pre>`);
+      } else if (/^\$\$\s*$/.test(line)) {
+        const math = [];
+        for (i++; i < lines.length && !/^\$\$\s*$/.test(lines[i]); i++) {
+          math.push(lines[i]);
+        }
+        i++;
+        blocks.push(renderMathHtml(math.join("\n").trim(), true));
+      } else if (/^#{1,6}\s/.test(line)) {
+        const level = line.match(/^#+/)[0].length;
+        const text = line.slice(level).trim();
+        let idAttribute = "";
+        if (options.headingIdPrefix) {
+          const id = `${options.headingIdPrefix}-h${blocks.length}`;
+          idAttribute = ` id="${id}"`;
+          options.headings?.push({ id, text: text.replace(/[*_`]/g, "") });
+        }
+        blocks.push(`<h${level}${idAttribute}>${convertInlineMarkdown(text)}</h${level}>`);
+        i++;
+      } else if (/^(-{3,}|\*{3,})\s*$/.test(line)) {
+        blocks.push("<hr>");
+        i++;
+      } else if (/^\s*$/.test(line)) {
+        i++;
+      } else {
+        // Gather the block's lines, up to a blank line or the start of a different block
+        const isList = /^(?:[-*+]|\d+\.)\s/.test(line);
+        const start = i;
+        for (i++; i < lines.length && lines[i].trim() && !/^(`{3,}|~{3,}|#{1,6}\s|\$\$)/.test(lines[i]) &&
+          (isList || !/^(?:[-*+]|\d+\.)\s/.test(lines[i])); i++);
+        const block = lines.slice(start, i);
+
+        if (block.every((blockLine) => blockLine.startsWith(">"))) {
+          blocks.push(`<blockquote>${markdownToHtml(block.map((blockLine) => blockLine.replace(/^>\s?/, "")).join("\n"))}</blockquote>`);
+        } else if (isList) {
+          // Lists may contain blank lines between items of the same kind
+          const itemPattern = /^\d+\./.test(line) ? /^(\s+|\d+\.\s)/ : /^(\s+|[-*+]\s)/;
+          while (i < lines.length && !lines[i].trim() && itemPattern.test(lines[i + 1] || "")) {
+            for (i++; i < lines.length && lines[i].trim() && !/^(`{3,}|#{1,6}\s)/.test(lines[i]); i++) {
+              block.push(lines[i]);
+            }
+          }
+          blocks.push(convertListMarkdown(block));
+        } else if (block.length > 1 && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(block[1]) && block[0].includes("|")) {
+          blocks.push(convertTableMarkdown(block));
+        } else {
+          blocks.push(`<p>${block.map(convertInlineMarkdown).join("<br>\n")}</p>`);
+        }
+      }
+    }
+    return blocks.join("\n");
+  }
+
+  // --- [HTML EXPORT] ---
+  // A self-contained page for people who don't read Markdown: chat bubbles, highlighted code,
+  // formulas as MathML, a table of contents, and print styles for "Save as PDF".
+  const HTML_EXPORT_STYLE = `
+    :root { --user: #d3e3fd; --assistant: #f1f3f4; --accent: #1a73e8; }
+    body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; max-width: 900px; margin: 2rem auto; padding: 0 1rem; line-height: 1.55; color: #1f1f1f; }
+    header { border-bottom: 1px solid #ddd; margin-bottom: 1rem; }
+    header .meta { color: #5f6368; font-size: 0.9rem; }
+    nav.toc { background: #fafafa; border: 1px solid #e0e0e0; border-radius: 8px; padding: 0.5rem 1rem; margin-bottom: 2rem; font-size: 0.9rem; }
+    nav.toc ol { padding-left: 1.5rem; margin: 0.25rem 0; } nav.toc ul { padding-left: 1rem; list-style: circle; }
+    nav.toc a { color: var(--accent); text-decoration: none; }
+    .turn { display: flex; flex-direction: column; margin: 1rem 0; }
+    .turn.user { align-items: flex-end; } .turn.assistant { align-items: flex-start; }
+    .turn > .role { font-size: 0.8rem; font-weight: 600; color: #5f6368; margin: 0 0.75rem 0.2rem; }
+    .bubble { max-width: 85%; padding: 0.6rem 1rem; border-radius: 18px; overflow-wrap: anywhere; }
+    .turn.user .bubble { background: var(--user); border-bottom-right-radius: 4px; }
+    .turn.assistant .bubble { background: var(--assistant); border-bottom-left-radius: 4px; }
+    .bubble > :first-child { margin-top: 0; } .bubble > :last-child { margin-bottom: 0; }
+    details.variant { border-left: 3px solid var(--accent); margin: 0.5rem 0; padding-left: 0.75rem; }
+    details.variant > summary { cursor: pointer; color: var(--accent); font-size: 0.9rem; }
+    pre { background: #1e1f20; color: #e3e3e3; padding: 0.75rem; overflow-x: auto; border-radius: 8px; }
+    code { font-family: ui-monospace, "Cascadia Code", Menlo, monospace; font-size: 0.88em; }
+    :not(pre) > code { background: rgba(0,0,0,0.06); padding: 0.1em 0.3em; border-radius: 4px; }
+    .tok-comment { color: #8e918f; font-style: italic; } .tok-string { color: #a8dab5; }
+    .tok-number { color: #f9ab00; } .tok-keyword { color: #8ab4f8; font-weight: 600; }
+    .math-display { overflow-x: auto; margin: 0.75rem 0; text-align: center; }
+    .math-source { background: #fff8e1; color: #5f4b00; }
+    img { max-width: 100%; border-radius: 8px; }
+    table { border-collapse: collapse; margin: 0.5rem 0; } th, td { border: 1px solid #ccc; padding: 4px 8px; }
+    blockquote { border-left: 3px solid #bbb; margin-left: 0; padding-left: 1rem; color: #555; }
+    .print-button { position: fixed; top: 1rem; right: 1rem; padding: 0.5rem 1rem; border: none; border-radius: 18px; background: var(--accent); color: white; cursor: pointer; }
+    @media print {
+      body { max-width: none; margin: 0; font-size: 11pt; }
+      .print-button { display: none; }
+      nav.toc { page-break-after: always; border: none; }
+      .turn, pre, table, img { break-inside: avoid; }
+      .bubble { max-width: 100%; border: 1px solid #ccc; }
+      pre { white-space: pre-wrap; background: #f6f6f6; color: #1f1f1f; border: 1px solid #ddd; }
+      a { color: inherit; }
+    }
+  `;
+
+  // Print every branch, not only the ones left open
+  const HTML_EXPORT_SCRIPT = `window.addEventListener("beforeprint", () => document.querySelectorAll("details").forEach((d) => { d.open = true; }));`;
+
+  const HIGHLIGHT_KEYWORDS = new Set(`
+    abstract and as async await break case catch class const continue def defer del do elif else enum export extends
+    false final finally fn for from func function go if impl implements import in interface is lambda let loop match
+    mut new nil none not null or package pass private protected pub public raise return self static struct super
+    switch this throw throws true try type undefined use var void where while with yield
+  `.trim().split(/\s+/));
+  const HASH_COMMENT_LANGUAGES = new Set(["python", "py", "bash", "sh", "shell", "zsh", "ruby", "rb", "yaml", "yml", "toml", "r", "perl", "powershell", "ps1", "dockerfile", "makefile"]);
+  const DASH_COMMENT_LANGUAGES = new Set(["sql", "lua", "haskell", "hs"]);
+
+  /**
+   * Highlights comments, strings, numbers and keywords. Not a parser, but good enough to read code by.
+   * @returns {string} Escaped HTML.
+   */
+  function highlightCode(code, language) {
+    const lang = language.toLowerCase();
+    const comment = HASH_COMMENT_LANGUAGES.has(lang) ? "#[^\\n]*"
+      : DASH_COMMENT_LANGUAGES.has(lang) ? "--[^\\n]*"
+        : "\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/";
+    const tokenPattern = new RegExp(
+      `(${comment})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b(?:0x[\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)|([A-Za-z_$][\\w$]*)`,
+      "g"
+    );
+
+    let html = "";
+    let last = 0;
+    code.replace(tokenPattern, (match, commentToken, stringToken, numberToken, word, offset) => {
+      const tokenClass = commentToken ? "tok-comment"
+        : stringToken ? "tok-string"
+          : numberToken ? "tok-number"
+            : HIGHLIGHT_KEYWORDS.has(word) ? "tok-keyword" : null;
+      html += escapeHtml(code.slice(last, offset));
+      html += tokenClass ? `<span class="${tokenClass}">${escapeHtml(match)}</span>` : escapeHtml(match);
+      last = offset + match.length;
+      return match;
+    });
+    return html + escapeHtml(code.slice(last));
+  }
+
+  /**
+   * Shows a formula as the MathML the page rendered for it, or as its TeX source if the page never did.
+   */
+  function renderMathHtml(tex, display) {
+    const mathml = renderedMath.get(tex);
+    if (mathml) {
+      return display ? `<div class="math-display">${mathml}</div>` : mathml;
+    }
+    return display
+      ? `<pre class="math-source">${escapeHtml(tex)}</pre>`
+      : `<code class="math-source">${escapeHtml(tex)}</code>`;
+  }
+
+  function getTurnPreview(turn) {
+    const text = redactForExport(turn.text.replace(/\s+/g, " ").trim());
+    return text.length > 70 ? `${text.slice(0, 70)}…` : text;
+  }
+
+  /**
+   * Renders turns as chat bubbles, collecting table-of-contents entries on the way.
+   * @param {{id: string, label: string, headings: {id: string, text: string}[]}[]} toc - Filled in.
+   */
+  function formatTurnsHtml(turns, toc, labelPrefix = "") {
+    return turns
+      .map((turn) => {
+        if (turn.variants) {
+          return turn.variants
+            .map(({ variant, selected, turns: variantTurns }) => {
+              const version = `${variant}/${turn.variants.length}`;
+              return `<details class="variant"${selected ? " open" : ""}><summary>${escapeHtml(turn.roleName)}: version ` +
+                `${version}${selected ? " (shown)" : ""}</summary>${formatTurnsHtml(variantTurns, toc, `${labelPrefix}v${version} `)}</details>`;
+            })
+            .join("");
+        }
+
+        const id = `turn-${toc.length + 1}`;
+        const entry = { id, label: `${labelPrefix}${turn.roleName}: ${getTurnPreview(turn)}`, headings: [] };
+        toc.push(entry);
+        const content = markdownToHtml(redactForExport(formatMessageContent(turn.markdown)), { headingIdPrefix: id, headings: entry.headings });
+        return `<div class="turn ${turn.role}" id="${id}"><div class="role">${escapeHtml(turn.roleName)}</div>` +
+          `<div class="bubble">${content}</div></div>`;
+      })
+      .join("\n");
+  }
+
+  function formatTocHtml(toc) {
+    const items = toc.map(({ id, label, headings }) => {
+      const subItems = headings.length
+        ? `<ul>${headings.map((heading) => `<li><a href="#${heading.id}">${escapeHtml(heading.text)}</a></li>`).join("")}</ul>`
+        : "";
+      return `<li><a href="#${id}">${escapeHtml(label)}</a>${subItems}</li>`;
+    });
+    return `<nav class="toc"><strong>Contents</strong><ol>${items.join("")}</ol></nav>`;
+  }
+
+  /**
+   * Single-file HTML export, with fetched attachments embedded as data URIs.
+   */
+  function createHtmlContent(conversation) {
+    const assets = conversation.assets || new Map();
+    const turns = linkAttachments(conversation.turns, (url) => (assets.has(url) ? toDataUri(assets.get(url)) : url));
+    const artifacts = formatArtifactsText(conversation.artifacts || []);
+    const title = escapeHtml(redactForExport(conversation.title || "") || "Chat Conversation Export");
+
+    const toc = [];
+    const body = formatTurnsHtml(turns, toc);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${HTML_EXPORT_STYLE}</style>
+<script>${HTML_EXPORT_SCRIPT}</script>
+</head>
+<body>
+<button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+<header>
+<h1>${title}</h1>
+<p class="meta">${escapeHtml(conversation.platform)} · ${conversation.exportedAt.slice(0, 10)} · ${toc.length} messages · <a href="${escapeHtml(conversation.url)}">${escapeHtml(conversation.url)}</a></p>
+</header>
+${formatTocHtml(toc)}
+<main>
+${body}
+</main>
+${artifacts ? `<section class="artifacts">${markdownToHtml(artifacts)}</section>` : ""}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Opens an HTML export in a new tab and brings up the print dialog there, for "Save as PDF".
+   */
+  function openPrintDialog(html) {
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    const printWindow = window.open(url, "_blank");
+    if (!printWindow) {
+      alert("The print tab was blocked. Allow pop-ups for this site, or export as HTML and print that.");
+      return false;
+    }
+    printWindow.addEventListener("load", () => printWindow.print());
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    return true;
+  }
+
+  // --- [NOTES EXPORT] ---
+  // Markdown for notes apps (Obsidian, Logseq): YAML frontmatter, the page's own title and a
+  // configurable file name, so exports can go straight into a vault.
+  const DEFAULT_NOTES_EXPORT = { tags: ["ai-chat"], filenameTemplate: "{{date}} {{title}}" };
+  const SITE_TITLE_SUFFIX = /\s*[-|–—]\s*(Google\s+)?(Gemini|ChatGPT|Claude|Perplexity|Le Chat|Mistral AI)\s*$/i;
+
+  function getNotesExportSettings() {
+    return { ...DEFAULT_NOTES_EXPORT, ...GM_getValue(STORAGE_KEY_NOTES_EXPORT, {}) };
+  }
+
+  /**
+   * The conversation's title without the site name, or the start of the first message for untitled chats.
+   */
+  function getNoteTitle(conversation) {
+    const title = (conversation.title || "").replace(SITE_TITLE_SUFFIX, "").trim();
+    const siteNames = SITE_ADAPTERS.map((adapter) => adapter.roleNames.assistant.replace(/^\W+/, ""));
+    if (title && !siteNames.includes(title)) {
+      return redactForExport(title);
+    }
+    const firstMessage = redactForExport((conversation.turns[0]?.text || "").replace(/\s+/g, " ").trim());
+    return firstMessage.slice(0, 60) || "Untitled conversation";
+  }
+
+  /**
+   * Reads the model name from the page, e.g. the model picker or ChatGPT's model slug on replies.
+   */
+  function getModelName(adapter) {
+    const captured = capturedConversations.get(getConversationKey());
+    if (captured?.model) return captured.model;
+
+    const element = adapter.modelSelector && [...document.querySelectorAll(adapter.modelSelector)].pop();
+    const name = element && (element.getAttribute("data-message-model-slug") || element.textContent);
+    return name ? name.replace(/\s+/g, " ").trim() : null;
+  }
+
+  /**
+   * When the conversation started: from the network capture, else from when it was first archived.
+   * @returns {Promise<string | null>} ISO timestamp, or null if unknown.
+   */
+  async function getConversationCreatedAt() {
+    const key = getConversationKey();
+    const captured = capturedConversations.get(key);
+    if (captured?.createdAt) {
+      return new Date(captured.createdAt * 1000).toISOString();
+    }
+
+    try {
+      const db = await openArchiveDb();
+      const archived = key && (await idbPromise(db.transaction("conversations").objectStore("conversations").get(key)));
+      return archived?.createdAt || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async function addNoteMetadata(conversation, adapter) {
+    conversation.noteTitle = getNoteTitle(conversation);
+    conversation.model = getModelName(adapter);
+    conversation.createdAt = await getConversationCreatedAt();
+  }
+
+  // YAML double-quoted strings are JSON strings
+  function toYamlValue(value) {
+    return JSON.stringify(String(value));
+  }
+
+  function createNotesContent(conversation) {
+    const { tags } = getNotesExportSettings();
+    const frontmatter = [
+      "---",
+      `title: ${toYamlValue(conversation.noteTitle || getNoteTitle(conversation))}`,
+      `platform: ${conversation.platform}`,
+      `url: ${toYamlValue(conversation.url)}`,
+      conversation.model && `model: ${toYamlValue(conversation.model)}`,
+      conversation.createdAt && `created: ${conversation.createdAt}`,
+      `exported: ${conversation.exportedAt}`,
+      `turns: ${conversation.turns.length}`,
+      tags.length ? `tags:\n${tags.map((tag) => `  - ${toYamlValue(tag)}`).join("\n")}` : "tags: []",
+      "---",
+    ].filter(Boolean).join("\n");
+
+    return `${frontmatter}\n\n${formatTurnsText(conversation.turns)}`;
+  }
+
+  /**
+   * Builds the file name from the configured template.
+   * Placeholders: {{title}} {{date}} {{time}} {{platform}} {{id}} {{model}}
+   */
+  function createNoteFileName(conversation) {
+    const exportedAt = new Date(conversation.exportedAt);
+    const pad = (number) => String(number).padStart(2, "0");
+    const values = {
+      title: conversation.noteTitle || getNoteTitle(conversation),
+      date: `${exportedAt.getFullYear()}-${pad(exportedAt.getMonth() + 1)}-${pad(exportedAt.getDate())}`,
+      time: `${pad(exportedAt.getHours())}${pad(exportedAt.getMinutes())}`,
+      platform: conversation.platform,
+      // Library and archive entries can come from a different site than the open one
+      id: getConversationId(
+        SITE_ADAPTERS.find((adapter) => adapter.platform === conversation.platform) || activeAdapter,
+        new URL(conversation.url).pathname
+      ),
+      model: conversation.model || "",
+    };
+    const name = getNotesExportSettings().filenameTemplate
+      .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] ?? match)
+      // Characters notes apps and file systems don't allow in file names
+      .replace(/[\\/:*?"<>|#^[\]]/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+    return name.slice(0, 150) || "conversation";
+  }
+
+  /**
+   * Export formats. Formats with bundlesAttachments get conversation.assets (see fetchAttachments)
+   * and conversation.artifacts filled in before createContent is called, formats with
+   * isNote get the note metadata (see addNoteMetadata) and a file name from the template.
+   */
+  const EXPORT_FORMATS = {
+    md: {
+      label: "Markdown",
+      extension: ".md",
+      mimeType: "text/markdown",
+      createContent: createMarkdownContent,
+    },
+    json: {
+      label: "JSON",
+      extension: ".json",
+      mimeType: "application/json",
+      createContent: createJsonContent,
+    },
+    notes: {
+      label: "Notes (Obsidian/Logseq)",
+      extension: ".md",
+      mimeType: "text/markdown",
+      createContent: createNotesContent,
+      isNote: true,
+    },
+    zip: {
+      label: "Markdown + files",
+      extension: ".zip",
+      mimeType: "application/zip",
+      createContent: createMarkdownZipContent,
+      bundlesAttachments: true,
+    },
+    html: {
+      label: "HTML (single file)",
+      extension: ".html",
+      mimeType: "text/html",
+      createContent: createHtmlContent,
+      bundlesAttachments: true,
+    },
+    pdf: {
+      label: "PDF (print dialog)",
+      extension: ".html",
+      mimeType: "text/html",
+      createContent: createHtmlContent,
+      bundlesAttachments: true,
+      opensPrintDialog: true,
+    },
+  };
+
+  function createFileName() {
+    let fileName;
+    if (
+      window.currConversationTopic &&
+      window.currConversationTopic.trim() !== ""
+    ) {
+      fileName = window.currConversationTopic;
+    } else {
+      const userInput = prompt(
+        "What is the conversation about? (This will be used for the filename)"
+      );
+      if (userInput) {
+        // Clean the input by removing special characters and extra spaces
+        fileName = userInput
+          .trim()
+          .replace(/[^a-zA-Z0-9\s-]/g, "") // Remove special characters except spaces and hyphens
+          .replace(/\s+/g, " ") // Replace multiple spaces with single space
+          .replace(/\s/g, "_"); // Replace spaces with underscores
+        // Store for future use
+        window.currConversationTopic = fileName;
+      } else {
+        // If user cancels the prompt, return an empty string for failure
+        fileName = "";
+      }
+    }
+    return fileName;
+  }
+
+  function downloadFile(filename, mimeType, content) {
+    const blob = content instanceof Blob
+      ? content
+      : new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    let element = document.createElement("a");
+    element.setAttribute("href", url);
+    element.setAttribute("download", filename);
+
+    // Simulate a click to trigger the download
+    element.style.display = "none";
+    document.body.appendChild(element);
+    element.click();
+    document.body.removeChild(element);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // --- Main Extraction Function ---
+  /**
+   * Finds the turns of the open conversation (asking the user for help if the selectors fail) and extracts them.
+   * @returns {{platform, url, title, exportedAt, turns: Turn[]} | null} null if extraction failed.
+   */
+  function extractConversation(adapter) {
+    if (!adapter.turnSelector) {
+      alert("Unsupported site.");
+      return null;
+    }
+
+    // Step 1: Prefer the network capture, then the known and learned selectors
+    let turns = collectConversationTurns(adapter);
+
+    // Step 2: Fall back to learning new selectors with the user's help
+    if (turns.length === 0) {
+      const learnedAdapter = learnConversationSelectors(adapter);
+      if (!learnedAdapter) {
+        return null;
+      }
+      turns = extractConversationTurns(learnedAdapter, document.querySelectorAll(learnedAdapter.turnSelector));
+    }
+
+    const conversation = {
+      platform: adapter.platform,
+      url: window.location.href,
+      title: getCapturedTitle(adapter) || document.title.trim(),
+      exportedAt: new Date().toISOString(),
+      turns,
+    };
+    console.log(`Conversation extracted: ${conversation.turns.length} turns`);
+    return conversation;
+  }
+
+  /**
+   * @param {number[]} [turnIndices] - Rendered messages to export (see [TURN SELECTION]), all of them when empty.
+   */
+  async function extractAndDownload(adapter, format, turnIndices = getCheckedTurnIndices()) {
+    const conversation = turnIndices.length ? extractSelectedTurns(adapter, turnIndices) : extractConversation(adapter);
+    if (!conversation) {
+      return;
+    }
+
+    // Optionally replace the visible path with the full tree of versions, a selection is of the visible path
+    if (includeBranches && adapter.variantNavigator && turnIndices.length === 0) {
+      showToast("Walking through every version of the conversation…");
+      branchWalkActive = true;
+      try {
+        conversation.turns = await walkBranches(adapter);
+      } finally {
+        branchWalkActive = false;
+      }
+    }
+
+    // Forked messages hold their versions (and the turns after them) in variants
+    let versionCount = 0;
+    forEachTurn(conversation.turns, (turn) => { versionCount += turn.variants?.length || 0; });
+    alert(
+      `Found ${conversation.turns.length} conversation turns` +
+      `${versionCount ? ` with ${versionCount} versions of edited or regenerated messages` : ""}! Proceeding with export.`
+    );
+
+    const exportFormat = EXPORT_FORMATS[format];
+    if (exportFormat.bundlesAttachments) {
+      conversation.artifacts = collectArtifacts(adapter);
+    }
+
+    // Block mode: show what is about to be redacted before anything is written, i.e. everything
+    // redactForExport will see: the title (frontmatter, file name), every version of every turn and the artifacts
+    const exportTexts = [conversation.title];
+    forEachTurn(conversation.turns, (turn) => exportTexts.push(turn.text, turn.markdown));
+    (conversation.artifacts || []).forEach((artifact) => exportTexts.push(artifact.title, artifact.markdown));
+    if (getRedactionSettings().applyToExports && !reviewRedactions(exportTexts.filter(Boolean), "cancel the export")) {
+      alert("Export cancelled.");
+      return;
+    }
+
+    // Step 3: Serialize into the chosen format
+    if (exportFormat.bundlesAttachments) {
+      conversation.assets = await fetchAttachments(conversation);
+    }
+    if (exportFormat.isNote) {
+      await addNoteMetadata(conversation, adapter);
+    }
+    let fileContent = exportFormat.createContent(conversation);
+    console.log("File content created.");
+
+    // PDFs come from the browser's own print dialog, there's nothing to name or download
+    if (exportFormat.opensPrintDialog) {
+      openPrintDialog(fileContent);
+      return;
+    }
+
+    // Step 4: Download the file
+    let filename = exportFormat.isNote ? createNoteFileName(conversation) : createFileName();
+    if (!filename) {
+      alert("Topic is required. Extraction cancelled.");
+      return;
+    }
+    filename += exportFormat.extension;
+    downloadFile(filename, exportFormat.mimeType, fileContent);
+    console.log("File created.");
+    console.log("Filename: " + filename);
+
+    alert(
+      `Conversation exported successfully to ${filename}! Open with any text editor to view.`
+    );
+  }
+
+  // --- [TURN SELECTION] ---
+  // Each rendered message gets a checkbox (shift-click checks a range), a copy button and an
+  // "export from here" button. The sites' frameworks own their message lists and break on nodes they
+  // didn't add, so the controls live in an overlay of our own, placed just above each message.
+  // Partial exports go through the same extractor and formatConversationText as full ones.
+  const turnControls = new Map(); // Message element -> its controls in the overlay
+  let turnControlsOverlay = null;
+  let turnControlsFrame = null; // Pending requestAnimationFrame for layoutTurnControls
+  let lastToggledTurnIndex = null; // Anchor for shift-click ranges
+
+  function listRenderedMessages(adapter) {
+    return adapter.turnSelector ? listMessageElements(adapter, document.querySelectorAll(adapter.turnSelector)) : [];
+  }
+
+  /**
+   * Extracts the conversation, keeping only the turns of the given rendered messages.
+   * The network capture can hold older turns the page has unmounted, so indices count from the end.
+   * It also skips empty and non-text messages, so unless its text lines up with the page turn by turn
+   * the rendered messages are exported instead.
+   * @param {number[]} indices - Indices into listRenderedMessages().
+   */
+  function extractSelectedTurns(adapter, indices) {
+    const conversation = extractConversation(adapter);
+    if (!conversation) {
+      return null;
+    }
+    const renderedTurns = listRenderedMessages(adapter).map((message) => createTurn(adapter, message));
+    const offset = conversation.turns.length - renderedTurns.length;
+    const aligned = offset >= 0 && renderedTurns.every((turn, index) =>
+      getTurnFingerprint(conversation.turns[offset + index]) === getTurnFingerprint(turn)
+    );
+    conversation.turns = indices
+      .filter((index) => index >= 0 && index < renderedTurns.length)
+      .map((index) => (aligned ? conversation.turns[offset + index] : renderedTurns[index]));
+    return conversation;
+  }
+
+  // The start of the text, letters and digits only, so Markdown syntax and the page's rendering of it don't count
+  function getTurnFingerprint(turn) {
+    return `${turn.role}:${hashString(turn.text.replace(/[^\p{L}\p{N}]+/gu, "").slice(0, 200))}`;
+  }
+
+  function getTurnCheckboxes(adapter) {
+    return listRenderedMessages(adapter).map((message) => turnControls.get(message)?.querySelector("input") || null);
+  }
+
+  function getCheckedTurnIndices() {
+    return getTurnCheckboxes(activeAdapter)
+      .map((checkbox, index) => (checkbox?.checked ? index : -1))
+      .filter((index) => index !== -1);
+  }
+
+  function updateExportButtonLabel() {
+    const checkedCount = getCheckedTurnIndices().length;
+    exportButton.innerText = checkedCount ? `Export ${checkedCount} Selected Turns` : "Export Conversation";
+  }
+
+  function onTurnCheckboxClick(e) {
+    const checkboxes = getTurnCheckboxes(activeAdapter);
+    const index = checkboxes.indexOf(e.target);
+    if (e.shiftKey && lastToggledTurnIndex !== null && checkboxes[lastToggledTurnIndex]) {
+      const [from, to] = [Math.min(index, lastToggledTurnIndex), Math.max(index, lastToggledTurnIndex)];
+      checkboxes.slice(from, to + 1).forEach((checkbox) => {
+        if (checkbox) checkbox.checked = e.target.checked;
+      });
+    }
+    lastToggledTurnIndex = index;
+    updateExportButtonLabel();
+  }
+
+  async function copyTurnAsMarkdown(message) {
+    // The site may have re-rendered the message since the controls were added
+    const index = listRenderedMessages(activeAdapter).indexOf(message);
+    if (index === -1) {
+      alert("This turn is no longer on the page. Try again once it has finished loading.");
+      return;
+    }
+    const conversation = extractSelectedTurns(activeAdapter, [index]);
+    if (!conversation || conversation.turns.length === 0) {
+      alert("Could not extract this turn.");
+      return;
+    }
+    // Same block as in an export, minus the separator before the next turn
+    await navigator.clipboard.writeText(formatTurnsText(conversation.turns).replace(/\s*---\s*$/, ""));
+    showToast("Copied the turn as Markdown.");
+  }
+
+  function createTurnControls(message) {
+    const controls = document.createElement("div");
+    controls.style.cssText = `
+      position: fixed;
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 2px 4px;
+      transform: translateY(-100%);
+      background: #1e1f20;
+      color: #e3e3e3;
+      border-radius: 4px;
+      font-size: 12px;
+      opacity: 0.7;
+      pointer-events: auto;
+    `;
+    const buttonStyle = `
+      padding: 0 6px;
+      background: transparent;
+      border: 1px solid #444746;
+      border-radius: 4px;
+      color: inherit;
+      cursor: pointer;
+    `;
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.title = "Include this turn in the export (shift-click to select a range)";
+    checkbox.addEventListener("click", onTurnCheckboxClick);
+
+    const copyButton = document.createElement("button");
+    copyButton.innerText = "📋";
+    copyButton.title = "Copy this turn as Markdown";
+    copyButton.style.cssText = buttonStyle;
+    copyButton.onclick = () =>
+      copyTurnAsMarkdown(message).catch((error) => {
+        console.error("[Export] Copy failed:", error);
+        alert("Could not copy the turn.");
+      });
+
+    const fromHereButton = document.createElement("button");
+    fromHereButton.innerText = "Export from here";
+    fromHereButton.title = "Export this turn and every one after it";
+    fromHereButton.style.cssText = buttonStyle;
+    fromHereButton.onclick = () => {
+      const messages = listRenderedMessages(activeAdapter);
+      const start = messages.indexOf(message);
+      if (start === -1) {
+        alert("This turn is no longer on the page. Try again once it has finished loading.");
+        return;
+      }
+      const indices = messages.map((message, index) => index).slice(start);
+      extractAndDownload(activeAdapter, exportFormat, indices).catch((error) => {
+        console.error("[Export] Failed:", error);
+        alert("Export failed.");
+      });
+    };
+
+    controls.append(checkbox, copyButton, fromHereButton);
+    return controls;
+  }
+
+  /**
+   * Moves each message's controls to its top right corner, hiding the ones of messages scrolled out of view.
+   */
+  function layoutTurnControls() {
+    turnControlsFrame = null;
+    turnControls.forEach((controls, message) => {
+      const rect = message.getBoundingClientRect();
+      const visible = rect.height > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+      controls.style.display = visible ? "flex" : "none";
+      if (visible) {
+        controls.style.top = `${Math.max(rect.top, controls.offsetHeight)}px`;
+        controls.style.right = `${Math.max(0, window.innerWidth - rect.right)}px`;
+      }
+    });
+  }
+
+  function scheduleTurnControlsLayout() {
+    if (turnControlsFrame === null) {
+      turnControlsFrame = requestAnimationFrame(layoutTurnControls);
+    }
+  }
+
+  // Sites re-render messages as they stream and edit them, so this runs on every change: it adds controls for
+  // new messages and drops the ones whose message is gone
+  function addTurnControls() {
+    if (!turnControlsOverlay) {
+      turnControlsOverlay = document.createElement("div");
+      turnControlsOverlay.id = "ctx-turn-controls";
+      turnControlsOverlay.style.cssText = "position: fixed; top: 0; left: 0; z-index: 9998; pointer-events: none;";
+      document.body.appendChild(turnControlsOverlay);
+      // Messages move whenever the page or one of its panels scrolls
+      document.addEventListener("scroll", scheduleTurnControlsLayout, true);
+      window.addEventListener("resize", scheduleTurnControlsLayout);
+    }
+
+    const messages = listRenderedMessages(activeAdapter);
+    const current = new Set(messages);
+    turnControls.forEach((controls, message) => {
+      if (!current.has(message)) {
+        controls.remove();
+        turnControls.delete(message);
+      }
+    });
+    messages.forEach((message) => {
+      if (!turnControls.has(message)) {
+        const controls = createTurnControls(message);
+        turnControls.set(message, controls);
+        turnControlsOverlay.appendChild(controls);
+      }
+    });
+    scheduleTurnControlsLayout();
+  }
+
+  // --- [IMPORT] ---
+  const IMPORT_PROMPT_HEADER = `[IMPORTED CONVERSATION: The following is a transcript of an earlier conversation. Treat it as our shared history and continue from where it left off. For now, reply only with "Ready."]`;
+  const IMPORT_OMITTED_NOTE = (count) => `[${count} earlier turns omitted to fit the size limit]`;
+
+  /**
+   * Parses a Markdown export (see createFileContent/formatConversationText) back into turns.
+   * @param {string} markdown - The contents of an exported .md file.
+   * @returns {{role: string, text: string}[]} The turns in order, role being 'user' or 'assistant'.
+   */
+  function parseConversationMarkdown(markdown) {
+    const turns = [];
+    const blocks = markdown.replace(/\r\n/g, "\n").split(/\n-{3,}\n/);
+
+    blocks.forEach((block) => {
+      const header = block
+        .trim()
+        .match(/^\*\*(.+?):(\{Could not extract text\})?\*\*(?:\n|$)([\s\S]*)$/);
+
+      if (header) {
+        const roleName = header[1];
+        turns.push({
+          role: roleName.includes("👤") || /user/i.test(roleName) ? "user" : "assistant",
+          text: header[2] ? "" : header[3].trim(),
+        });
+      } else if (turns.length > 0 && block.trim()) {
+        // The message itself contained a horizontal rule, so glue it back together
+        const lastTurn = turns[turns.length - 1];
+        lastTurn.text = `${lastTurn.text}\n\n---\n\n${block.trim()}`;
+      }
+      // Anything before the first turn is the file header (title, date)
+    });
+
+    return turns;
+  }
+
+  /**
+   * Condenses turns into a plain transcript, dropping the oldest turns until it fits.
+   * @param {{role: string, text: string}[]} turns - Parsed turns.
+   * @param {number} maxLength - Maximum length of the resulting transcript.
+   * @returns {string} The transcript.
+   */
+  function condenseTurns(turns, maxLength) {
+    const lines = turns
+      .filter((turn) => turn.text)
+      .map((turn) => `${turn.role === "user" ? "User" : "Assistant"}: ${turn.text}`);
+
+    let omitted = 0;
+    let transcript = lines.join("\n\n");
+    while (transcript.length > maxLength && omitted < lines.length - 1) {
+      omitted++;
+      transcript = IMPORT_OMITTED_NOTE(omitted) + "\n\n" + lines.slice(omitted).join("\n\n");
+    }
+
+    if (transcript.length > maxLength) {
+      // Even the last turn alone is too long, keep its tail
+      transcript = transcript.slice(transcript.length - maxLength);
+    }
+    return transcript;
+  }
+
+  function insertIntoComposer(composerSelector, text) {
+    const composer = composerSelector && document.querySelector(composerSelector);
+    if (!composer) {
+      return false;
+    }
+
+    composer.focus();
+    if (composer instanceof HTMLTextAreaElement) {
+      // Use the native setter so frameworks notice the change
+      const setValue = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, "value").set;
+      setValue.call(composer, text);
+      composer.dispatchEvent(new Event("input", { bubbles: true }));
+    } else {
+      // Rich text editors (Quill, ProseMirror) listen for real editing commands
+      document.execCommand("selectAll", false);
+      document.execCommand("insertText", false, text);
+    }
+    return true;
+  }
+
+  function pickFile(accept) {
+    return new Promise((resolve) => {
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = accept;
+      input.onchange = () => resolve(input.files[0] || null);
+      input.click();
+    });
+  }
+
+  async function importConversation(composerSelector, extension) {
+    const file = await pickFile(`${extension},text/markdown,text/plain`);
+    if (!file) {
+      return;
+    }
+
+    const turns = parseConversationMarkdown(await file.text());
+    if (turns.length === 0) {
+      alert("No conversation turns found in that file. Was it created by the exporter?");
+      return;
+    }
+
+    const choice = prompt(
+      `Found ${turns.length} turns in ${file.name}. How should they be imported?\n\n` +
+      `1 = Send as a single condensed prompt in this chat\n` +
+      `2 = Load into the Dynamic Context (Memory) of the active profile, replacing what is there`,
+      "1"
+    );
+
+    if (choice === "1") {
+      // Leave room for the instructions the interceptor will inject
+      const maxLength = HARD_CRASH_LIMIT - MAX_INSTRUCTION_SIZE - IMPORT_PROMPT_HEADER.length - 2;
+      const importPrompt = `${IMPORT_PROMPT_HEADER}\n\n${condenseTurns(turns, maxLength)}`;
+
+      if (!insertIntoComposer(composerSelector, importPrompt)) {
+        alert("Could not find the message box. Open a new chat and try again.");
+        return;
+      }
+      alert("Conversation placed in the message box. Review it and press Send to continue the thread.");
+    } else if (choice === "2") {
+      const store = loadProfileStore();
+      const profile = store.profiles[resolveActiveProfileId(store, window.location.hostname)];
+      const maxLength = MAX_INSTRUCTION_SIZE - profile.instructions.length - InstructionsPrefix.length - ContextPrefix.length - 2 * Suffix.length;
+
+      if (maxLength < 100) {
+        alert("The Static Instructions leave no room for Memory. Shorten them and try again.");
+        return;
+      }
+
+      profile.context = condenseTurns(turns, maxLength);
+      saveProfileStore(store);
+      console.log(`[ContextManager] Imported conversation into Dynamic Context of profile ${profile.name}.`);
+      alert(`Conversation loaded into the Dynamic Context of "${profile.name}". It will be sent with your next message.`);
+    }
+  }
+
+  // --- [LIBRARY] ---
+  // Conversations saved on purpose, next to the automatic archive, with a searchable overlay.
+  // Store: library { id, platform, conversationId, title, url, savedAt, turns }
+  const library_overlay_id = "llm-library-overlay";
+  const LIBRARY_SNIPPET_RADIUS = 80;  // Characters of context around each hit
+  const LIBRARY_MAX_HITS_SHOWN = 5;   // Per conversation in the result list
+
+  async function saveToLibrary(adapter) {
+    const conversation = extractConversation(adapter);
+    if (!conversation) return;
+
+    const conversationId = getConversationId(adapter, window.location.pathname);
+    const entry = {
+      // Saving the same conversation again replaces the older copy
+      id: conversationId ? `${adapter.platform}:${conversationId}` : `${adapter.platform}:saved-${Date.now()}`,
+      platform: adapter.platform,
+      conversationId,
+      title: conversation.title,
+      url: conversation.url,
+      savedAt: conversation.exportedAt,
+      turns: conversation.turns,
+    };
+
+    const db = await openArchiveDb();
+    const tx = db.transaction("library", "readwrite");
+    tx.objectStore("library").put(entry);
+    await idbPromise(tx);
+    showToast(`Saved "${entry.title}" to the library (${entry.turns.length} turns).`);
+  }
+
+  /**
+   * Lists library entries, optionally with the latest snapshot of every archived conversation.
+   */
+  async function listLibraryEntries(includeArchive) {
+    const db = await openArchiveDb();
+    const entries = (await idbPromise(db.transaction("library").objectStore("library").getAll()))
+      .map((entry) => ({ ...entry, source: "library" }));
+
+    if (includeArchive) {
+      const store = db.transaction("snapshots").objectStore("snapshots");
+      const archived = await listArchivedConversations();
+      const snapshots = await Promise.all(archived.map((c) => idbPromise(store.get([c.key, c.latestVersion]))));
+      archived.forEach((conversation, index) => {
+        if (!snapshots[index]) return;
+        entries.push({
+          id: conversation.key,
+          platform: conversation.platform,
+          conversationId: conversation.conversationId,
+          title: snapshots[index].title,
+          url: snapshots[index].url,
+          savedAt: snapshots[index].savedAt,
+          turns: snapshots[index].turns,
+          source: "archive",
+        });
+      });
+    }
+    return entries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  async function deleteLibraryEntry(id) {
+    const db = await openArchiveDb();
+    const tx = db.transaction("library", "readwrite");
+    tx.objectStore("library").delete(id);
+    await idbPromise(tx);
+  }
+
+  /**
+   * Full-text search over titles and turn text. Every whitespace-separated term has to match (case-insensitive).
+   * @returns {{entry: Object, hits: {turnIndex: number, role: string, snippet: string}[]}[]}
+   */
+  function searchLibrary(entries, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+      return entries.map((entry) => ({ entry, hits: [] }));
+    }
+
+    return entries
+      .map((entry) => {
+        const haystack = `${entry.title}\n${entry.turns.map((turn) => turn.text).join("\n")}`.toLowerCase();
+        if (!terms.every((term) => haystack.includes(term))) {
+          return null;
+        }
+
+        const hits = [];
+        entry.turns.forEach((turn, turnIndex) => {
+          const lowerText = turn.text.toLowerCase();
+          const position = terms.map((term) => lowerText.indexOf(term)).filter((i) => i >= 0).sort((a, b) => a - b)[0];
+          if (position === undefined) return;
+
+          const start = Math.max(0, position - LIBRARY_SNIPPET_RADIUS);
+          const end = Math.min(turn.text.length, position + LIBRARY_SNIPPET_RADIUS);
+          hits.push({
+            turnIndex,
+            role: turn.role,
+            snippet: `${start > 0 ? "…" : ""}${turn.text.slice(start, end).replace(/\s+/g, " ")}${end < turn.text.length ? "…" : ""}`,
+          });
+        });
+        return { entry, hits };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Appends text to an element, wrapping every occurrence of the terms in <mark>.
+   */
+  function appendHighlighted(parent, text, terms) {
+    if (terms.length === 0) {
+      parent.append(text);
+      return;
+    }
+    const pattern = new RegExp(`(${terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`, "gi");
+    text.split(pattern).forEach((part, index) => {
+      if (index % 2 === 1) {
+        const mark = document.createElement("mark");
+        mark.textContent = part;
+        parent.appendChild(mark);
+      } else if (part) {
+        parent.append(part);
+      }
+    });
+  }
+
+  /**
+   * Exports a conversation read back from storage (the library or the archive) like the Export button does:
+   * PDFs open the print dialog and notes are named from the template. The model and creation date
+   * of the open page don't belong to it, so notes go without them.
+   * @param {string} baseName - File name without the extension, for formats other than notes.
+   */
+  function exportStoredConversation(conversation, exportFormat, baseName) {
+    const content = exportFormat.createContent(conversation);
+    if (exportFormat.opensPrintDialog) {
+      openPrintDialog(content);
+      return;
+    }
+    const filename = exportFormat.isNote ? createNoteFileName(conversation) : baseName;
+    downloadFile(filename + exportFormat.extension, exportFormat.mimeType, content);
+  }
+
+  function exportLibraryEntry(entry, format) {
+    const baseName = (entry.title || entry.id).replace(/[^a-zA-Z0-9\s-]/g, "").trim().replace(/\s+/g, "_") || entry.platform;
+    exportStoredConversation({
+      platform: entry.platform,
+      url: entry.url,
+      title: entry.title,
+      exportedAt: new Date().toISOString(),
+      turns: entry.turns,
+    }, EXPORT_FORMATS[format], baseName);
+  }
+
+  function renderLibraryResults(list, entries, query, platform) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const results = searchLibrary(
+      entries.filter((entry) => !platform || entry.platform === platform),
+      query
+    );
+
+    list.innerHTML = "";
+    if (results.length === 0) {
+      list.textContent = entries.length ? "No matches." : "Nothing saved yet. Use \"Save to Library\" on a conversation.";
+      return;
+    }
+
+    results.forEach(({ entry, hits }) => {
+      const item = document.createElement("div");
+      Object.assign(item.style, { borderBottom: "1px solid #444746", padding: "10px 0" });
+
+      const titleRow = document.createElement("div");
+      Object.assign(titleRow.style, { display: "flex", alignItems: "center", gap: "8px" });
+
+      const title = document.createElement("a");
+      title.href = entry.url;
+      title.target = "_blank";
+      Object.assign(title.style, { flex: "1", color: "#8ab4f8", fontWeight: "bold", textDecoration: "none" });
+      appendHighlighted(title, entry.title || entry.id, terms);
+
+      const meta = document.createElement("span");
+      meta.textContent = `${entry.platform} · ${entry.savedAt.slice(0, 10)} · ${entry.turns.length} turns${entry.source === "archive" ? " · archive" : ""}`;
+      Object.assign(meta.style, { fontSize: "0.8rem", color: "#c4c7c5" });
+
+      const exportBtn = document.createElement("button");
+      exportBtn.textContent = `Export ${EXPORT_FORMATS[exportFormat].extension}`;
+      exportBtn.onclick = () => exportLibraryEntry(entry, exportFormat);
+
+      titleRow.append(title, meta, exportBtn);
+      if (entry.source === "library") {
+        const deleteBtn = document.createElement("button");
+        deleteBtn.textContent = "Delete";
+        deleteBtn.onclick = async () => {
+          if (!confirm(`Delete "${entry.title}" from the library?`)) return;
+          await deleteLibraryEntry(entry.id);
+          entries.splice(entries.indexOf(entry), 1);
+          renderLibraryResults(list, entries, query, platform);
+        };
+        titleRow.appendChild(deleteBtn);
+      }
+      [...titleRow.querySelectorAll("button")].forEach((btn) =>
+        Object.assign(btn.style, {
+          padding: "4px 10px", borderRadius: "12px", border: "1px solid #444746",
+          background: "transparent", color: "#e3e3e3", cursor: "pointer"
+        })
+      );
+      item.appendChild(titleRow);
+
+      hits.slice(0, LIBRARY_MAX_HITS_SHOWN).forEach((hit) => {
+        const snippet = document.createElement("div");
+        Object.assign(snippet.style, { fontSize: "0.85rem", color: "#c4c7c5", margin: "4px 0 0 10px" });
+        snippet.append(`${hit.role === "user" ? "👤" : "🤖"} #${hit.turnIndex + 1}: `);
+        appendHighlighted(snippet, hit.snippet, terms);
+        item.appendChild(snippet);
+      });
+      if (hits.length > LIBRARY_MAX_HITS_SHOWN) {
+        const more = document.createElement("div");
+        more.textContent = `…and ${hits.length - LIBRARY_MAX_HITS_SHOWN} more matching turns`;
+        Object.assign(more.style, { fontSize: "0.8rem", color: "#8e918f", margin: "4px 0 0 10px" });
+        item.appendChild(more);
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  async function openLibrary() {
+    document.getElementById(library_overlay_id)?.remove();
+
+    const overlay = document.createElement("div");
+    overlay.id = library_overlay_id;
+    Object.assign(overlay.style, {
+      position: "fixed", top: "0", left: "0", width: "100%", height: "100%",
+      backgroundColor: "rgba(0,0,0,0.6)", zIndex: "10000",
+      display: "flex", justifyContent: "center", alignItems: "center",
+      fontFamily: "Google Sans, Roboto, sans-serif"
+    });
+    overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+
+    const panel = document.createElement("div");
+    Object.assign(panel.style, {
+      backgroundColor: "#1e1f20", color: "#e3e3e3", padding: "25px", borderRadius: "12px",
+      width: "800px", maxWidth: "90%", height: "80vh", boxSizing: "border-box",
+      boxShadow: "0 4px 20px rgba(0,0,0,0.5)", display: "flex", flexDirection: "column", gap: "12px"
+    });
+
+    const header = document.createElement("div");
+    Object.assign(header.style, { display: "flex", alignItems: "center", gap: "8px" });
+    const heading = document.createElement("h2");
+    heading.textContent = "Library";
+    Object.assign(heading.style, { margin: "0", fontSize: "1.5rem", flex: "1" });
+    const closeBtn = document.createElement("button");
+    closeBtn.textContent = "✕";
+    Object.assign(closeBtn.style, { background: "transparent", border: "none", color: "#e3e3e3", fontSize: "1.2rem", cursor: "pointer" });
+    closeBtn.onclick = () => overlay.remove();
+    header.append(heading, closeBtn);
+
+    const controls = document.createElement("div");
+    Object.assign(controls.style, { display: "flex", alignItems: "center", gap: "8px", fontSize: "0.9rem" });
+    const inputStyle = { background: "#2b2d30", color: "#fff", border: "1px solid #444746", borderRadius: "6px", padding: "6px 8px" };
+
+    const searchInput = document.createElement("input");
+    searchInput.type = "search";
+    searchInput.placeholder = "Search saved conversations…";
+    Object.assign(searchInput.style, inputStyle, { flex: "1" });
+
+    const platformSelect = document.createElement("select");
+    Object.assign(platformSelect.style, inputStyle);
+    platformSelect.add(new Option("All platforms", ""));
+    SITE_ADAPTERS.forEach((adapter) => platformSelect.add(new Option(adapter.platform, adapter.platform)));
+
+    const archiveLabel = document.createElement("label");
+    const archiveCheckbox = document.createElement("input");
+    archiveCheckbox.type = "checkbox";
+    archiveLabel.append(archiveCheckbox, " Include archive");
+
+    controls.append(searchInput, platformSelect, archiveLabel);
+
+    const list = document.createElement("div");
+    Object.assign(list.style, { flex: "1", overflowY: "auto" });
+    list.textContent = "Loading…";
+
+    panel.append(header, controls, list);
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+    searchInput.focus();
+
+    let entries = [];
+    const render = () => renderLibraryResults(list, entries, searchInput.value, platformSelect.value);
+    const load = async () => {
+      entries = await listLibraryEntries(archiveCheckbox.checked);
+      render();
+    };
+
+    searchInput.oninput = render;
+    platformSelect.onchange = render;
+    archiveCheckbox.onchange = () =>
+      load().catch((error) => {
+        console.error("[Library] Could not load:", error);
+        alert("Could not read the library.");
+      });
+    overlay.onkeydown = (e) => { if (e.key === "Escape") overlay.remove(); };
+    await load();
+  }
+
+  // --- [ARCHIVE] ---
+  // Every conversation is snapshotted into IndexedDB as new turns arrive, so it can be recovered
+  // after a crash or after it was deleted server-side.
+  // Stores: conversations { key, platform, conversationId, title, url, createdAt, updatedAt, latestVersion, turnCount, turnHashes, hash }
+  //         snapshots     { key, version, savedAt, title, url, turns }
+  //         library       see [LIBRARY]
+  //         bulk_files    see [BULK EXPORT]
+  const ARCHIVE_DB_NAME = "llm-conversation-archive";
+  const ARCHIVE_DB_VERSION = 3;
+  const ARCHIVE_DEBOUNCE_MS = 3000;
+  const MAX_ARCHIVE_VERSIONS = 25; // Older snapshots of a conversation are pruned
+  let archiveDbPromise = null;
+  let archiveTimer = null;
+
+  /**
+   * Wraps an IDBRequest (or a transaction, resolving on complete) in a Promise.
+   */
+  function idbPromise(request) {
+    return new Promise((resolve, reject) => {
+      if (request instanceof IDBTransaction) {
+        request.oncomplete = () => resolve();
+        request.onerror = request.onabort = () => reject(request.error);
+      } else {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }
+    });
+  }
+
+  function openArchiveDb() {
+    if (!archiveDbPromise) {
+      const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains("conversations")) {
+          db.createObjectStore("conversations", { keyPath: "key" });
+        }
+        if (!db.objectStoreNames.contains("snapshots")) {
+          db.createObjectStore("snapshots", { keyPath: ["key", "version"] });
+        }
+        // Added in v2 for the library
+        if (!db.objectStoreNames.contains("library")) {
+          db.createObjectStore("library", { keyPath: "id" });
+        }
+        // Added in v3 for resumable bulk exports
+        if (!db.objectStoreNames.contains("bulk_files")) {
+          db.createObjectStore("bulk_files", { keyPath: "id" });
+        }
+      };
+      archiveDbPromise = new Promise((resolve, reject) => {
+        let blocked = false;
+        request.onsuccess = () => {
+          const db = request.result;
+          // The other tabs closed after we gave up, nobody is waiting for this handle
+          if (blocked) {
+            db.close();
+            return;
+          }
+          // Let a newer version of the script in another tab upgrade the database
+          db.onversionchange = () => {
+            db.close();
+            archiveDbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        // Another tab still has an older version open, the upgrade waits until it's closed
+        request.onblocked = () => {
+          blocked = true;
+          archiveDbPromise = null;
+          showToast("The archive is being upgraded. Reload or close the other tabs of this site, then try again.");
+          reject(new Error("Archive upgrade blocked by another tab."));
+        };
+      });
+    }
+    return archiveDbPromise;
+  }
+
+  // FNV-1a, enough to tell whether a conversation changed
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  function getSnapshotRange(key) {
+    return IDBKeyRange.bound([key, 0], [key, Number.MAX_SAFE_INTEGER]);
+  }
+
+  /**
+   * A lazily loaded page shows an unchanged run of the archived turns, an edited conversation doesn't.
+   */
+  function isPartialRender(turnHashes, existing) {
+    return turnHashes.length < existing.turnHashes.length &&
+      `,${existing.turnHashes.join(",")},`.includes(`,${turnHashes.join(",")},`);
+  }
+
+  /**
+   * Saves the turns as a new version of the conversation, unless nothing changed.
+   * @returns {Promise<number | null>} The new version, or null if skipped.
+   */
+  async function saveSnapshot(key, platform, turns) {
+    const turnHashes = turns.map((turn) => hashString(JSON.stringify([turn.role, turn.markdown])));
+    const hash = hashString(JSON.stringify(turns.map((turn) => [turn.role, turn.markdown])));
+    const db = await openArchiveDb();
+    const existing = await idbPromise(db.transaction("conversations").objectStore("conversations").get(key));
+
+    if (existing && existing.hash === hash) {
+      return null;
+    }
+    if (existing && isPartialRender(turnHashes, existing)) {
+      console.log(`[Archive] Skipping snapshot of ${key}: ${turns.length} turns rendered, ${existing.turnCount} archived.`);
+      return null;
+    }
 
-    let node;
-    while ((node = walker.nextNode())) {
-      if (node.nodeValue.trim().includes(searchText.trim())) {
-        // Return the element that contains the text node
-        return node.parentElement;
-      }
+    const now = new Date().toISOString();
+    const version = (existing?.latestVersion || 0) + 1;
+    const title = document.title.trim();
+    const tx = db.transaction(["conversations", "snapshots"], "readwrite");
+    const snapshots = tx.objectStore("snapshots");
+
+    snapshots.put({ key, version, savedAt: now, title, url: window.location.href, turns });
+    tx.objectStore("conversations").put({
+      key,
+      platform,
+      conversationId: key.slice(platform.length + 1),
+      title,
+      url: window.location.href,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      latestVersion: version,
+      turnCount: turns.length,
+      turnHashes,
+      hash,
+    });
+    if (version > MAX_ARCHIVE_VERSIONS) {
+      snapshots.delete(IDBKeyRange.bound([key, 0], [key, version - MAX_ARCHIVE_VERSIONS]));
     }
-    return null;
-  }
 
-  function getConversationContainers(turnSelector) {
-    let turnContainers = document.querySelectorAll(turnSelector);
+    await idbPromise(tx);
+    return version;
+  }
 
-    // --- FAILSAVE LOGIC ---
-    if (turnContainers.length === 0) {
-      // Extract the first query from the conversation
-      const initialQuery = prompt(
-        "Could not find conversation using the default selector. Please paste the **exact, visible text** of your **very first query** in the conversation below:",
-        ""
-      );
+  async function archiveCurrentConversation() {
+    const key = getConversationKey();
+    if (!key) return;
 
-      if (!initialQuery) {
-        alert("Extraction cancelled.");
-        return;
-      }
+    // Wait for the reply to finish streaming, half-written answers aren't worth a version.
+    // Branch walks and bulk exports show other versions and other chats under this URL, wait for them too.
+    if (branchWalkActive || bulkExportActive ||
+      (activeAdapter.stopButtonSelector && document.querySelector(activeAdapter.stopButtonSelector))) {
+      scheduleArchive();
+      return;
+    }
 
-      // Step 2: Find the element containing the text
-      const anchorElement = findNodeByText(initialQuery);
+    const turns = collectConversationTurns(activeAdapter);
+    if (turns.length === 0) return;
 
-      if (!anchorElement) {
-        alert(
-          "Could not find any element containing that text. Extraction failed."
-        );
-        return;
+    try {
+      const version = await saveSnapshot(key, activeAdapter.platform, turns);
+      if (version) {
+        console.log(`[Archive] Saved ${key} v${version} (${turns.length} turns).`);
       }
+    } catch (error) {
+      console.error("[Archive] Could not save snapshot:", error);
+    }
+  }
 
-      // Step 3: Heuristic: Find the closest common ancestor with role="listitem"
-      // This is a common pattern for repeated items in a list.
-      const newTurnContainer = anchorElement.closest('[role="listitem"]');
+  function scheduleArchive() {
+    if (!AUTO_ARCHIVE || !activeAdapter.turnSelector) return;
+    clearTimeout(archiveTimer);
+    archiveTimer = setTimeout(archiveCurrentConversation, ARCHIVE_DEBOUNCE_MS);
+  }
 
-      if (!newTurnContainer) {
-        alert(
-          "Found the text, but couldn't determine the conversation block structure. Extraction failed."
-        );
-        return;
-      }
+  async function listArchivedConversations() {
+    const db = await openArchiveDb();
+    const conversations = await idbPromise(db.transaction("conversations").objectStore("conversations").getAll());
+    return conversations.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
 
-      // If we found one, we assume all turns use the same parent pattern
-      turnContainers =
-        newTurnContainer.parentElement.querySelectorAll(turnSelector);
-    }
-    return turnContainers;
+  async function listSnapshots(key) {
+    const db = await openArchiveDb();
+    return idbPromise(db.transaction("snapshots").objectStore("snapshots").getAll(getSnapshotRange(key)));
   }
 
-  function formatMessageContent(text) {
-    // Clean up extra whitespace
-    let formatted = text.trim().replace(/\n{3,}/g, "\n\n");
+  async function recoverArchivedConversation(format) {
+    const conversations = await listArchivedConversations();
+    if (conversations.length === 0) {
+      alert("The archive is empty. Conversations are archived automatically as you chat.");
+      return;
+    }
 
-    // Format code blocks
-    formatted = formatted.replace(
-      /```(\w+)?\n([\s\S]*?)\n```/g,
-      (match, lang, code) => {
-        return `\`\`\`${lang || ""}\n${code.trim()}\n\`\`\``;
-      }
+    const shown = conversations.slice(0, 30);
+    const pick = prompt(
+      "Which conversation do you want to recover?\n\n" +
+      shown
+        .map((c, i) => `${i + 1}. [${c.platform}] ${c.title || c.conversationId} (${c.turnCount} turns, ${c.updatedAt.slice(0, 16).replace("T", " ")})`)
+        .join("\n"),
+      "1"
+    );
+    const conversation = shown[parseInt(pick, 10) - 1];
+    if (!conversation) return;
+
+    const snapshots = await listSnapshots(conversation.key);
+    const versionPick = prompt(
+      `Which version of "${conversation.title}"?\n\n` +
+      snapshots
+        .map((s) => `v${s.version}: ${s.turns.length} turns, ${s.savedAt.slice(0, 16).replace("T", " ")}`)
+        .reverse()
+        .join("\n"),
+      String(conversation.latestVersion)
     );
+    const snapshot = snapshots.find((s) => s.version === parseInt(versionPick, 10));
+    if (!snapshot) return;
 
-    return formatted;
+    exportStoredConversation({
+      platform: conversation.platform,
+      url: snapshot.url,
+      title: snapshot.title,
+      exportedAt: new Date().toISOString(),
+      turns: snapshot.turns,
+    }, EXPORT_FORMATS[format], `${conversation.platform}_${conversation.conversationId}_v${snapshot.version}`);
   }
 
-  function formatConversationText(role, conversationText) {
-    let textContent = formatMessageContent(conversationText);
+  // --- [ZIP] ---
+  // Minimal ZIP writer (stored, no compression), enough for text exports and already-compressed images.
+  const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
 
-    if (textContent) {
-      // Use simple Markdown-like formatting for structure
-      textContent = `**${role}:**\n${textContent}\n\n---\n\n`;
-    } else {
-      textContent = `**${role}:{Could not extract text}**\n\n---\n\n`;
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
     }
-    return textContent;
+    return (crc ^ 0xffffffff) >>> 0;
   }
 
-  function extractConversationText_Gemini(turnContainers) {
-    let conversationText = "";
+  /**
+   * Packs files into a ZIP archive.
+   * @param {{name: string, content: string | Uint8Array, date?: Date}[]} files - Paths may contain folders ("assets/a.png").
+   * @returns {Blob}
+   */
+  function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    let centralSize = 0;
 
-    // Step 2: Extract text from each turn
-    turnContainers.forEach((container) => {
-      // Find all direct children that hold message content (usually a div/component for user and one for model)
-      const messages = container.querySelectorAll(
-        "user-query, response-container"
-      );
+    files.forEach(({ name, content, date = new Date() }) => {
+      const nameBytes = encoder.encode(name);
+      const data = typeof content === "string" ? encoder.encode(content) : content;
+      const crc = crc32(data);
+      const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+      const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
 
-      const userMessage = container.querySelector("user-query");
-      // Get the visible text content
-      conversationText += formatConversationText(
-        "👤 User",
-        userMessage.innerText
-      );
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);  // Local file header signature
+      local.setUint16(4, 20, true);          // Version needed
+      local.setUint16(6, 0x0800, true);      // Flags: UTF-8 names
+      local.setUint16(8, 0, true);           // Method: stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true); // Compressed size
+      local.setUint32(22, data.length, true); // Uncompressed size
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);          // Extra field length
+      localParts.push(local, nameBytes, data);
 
-      const geminiResponse = container.querySelector("response-container");
-      // Get the visible text content
-      conversationText += formatConversationText(
-        "🤖 Gemini",
-        geminiResponse.innerText
-      );
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory signature
+      central.setUint16(4, 20, true);         // Version made by
+      central.setUint16(6, 20, true);         // Version needed
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);    // Offset of the local header
+      centralParts.push(central, nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+      centralSize += 46 + nameBytes.length;
     });
 
-    return conversationText;
-  }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);       // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
 
-  // Function specific to the **ChatGPT** interface
-  function extractConversationText_ChatGPT(turnContainers) {
-    let conversationText = "";
+    return new Blob([...localParts, ...centralParts, end], { type: "application/zip" });
+  }
 
-    if (turnContainers.length === 0) {
-      return ""; // Return empty string if no turns found
-    }
+  /**
+   * Turns a title into something safe for a file name.
+   */
+  function sanitizeFileName(text) {
+    return text
+      .trim()
+      .replace(/[^a-zA-Z0-9\s-]/g, "") // Remove special characters except spaces and hyphens
+      .replace(/\s+/g, "_")
+      .slice(0, 80);
+  }
 
-    turnContainers.forEach((article) => {
-      // The role is stored in the 'data-turn' attribute: 'user' or 'assistant'
-      const role = article.getAttribute("data-turn");
-      let roleName = "";
-      let contentElement = null;
+  // --- [BULK EXPORT] ---
+  // Walks the sidebar, opens every conversation, extracts it and packs everything into one ZIP.
+  // The job lives in GM storage and the extracted files in IndexedDB, so it can resume after a reload.
+  // Job: { startedAt, platform, format, onlyChanged, queue: [{ id, href, title }], doneIds: [], skippedIds: [], failedIds: [] }
+  const STORAGE_KEY_BULK_JOB = "bulk_export_job";
+  const STORAGE_KEY_BULK_HASHES = "bulk_export_hashes"; // { ["platform:conversationId"]: hash } from the last backup
+  const BULK_RENDER_TIMEOUT = 30000;
+  const BULK_SETTLE_MS = 1500;
+  const bulk_progress_id = "llm-bulk-progress";
+  let bulkCancelled = false;
+  let bulkExportActive = false; // The page walks through other chats while this is set, see scheduleArchive
 
-      if (role === "user") {
-        roleName = "👤 ";
-        // In ChatGPT, the user content is often directly within the article
-        contentElement = article.textContent; // Or a general content container if markdown is unavailable
-      } else if (role === "assistant") {
-        roleName = "🤖 ";
-        // Assistant response content is usually in a specific container
-        // The actual class might change, but this is a common one:
-        contentElement = article.textContent;
-      }
+  /**
+   * Collects the conversations listed in the sidebar, scrolling it to load lazily listed ones.
+   * @returns {Promise<{id: string, href: string, title: string}[]>}
+   */
+  async function collectSidebarConversations(adapter) {
+    const found = new Map();
+    let stableRounds = 0;
 
-      if (contentElement) {
-        // Use innerText as you did before, but be aware of the need to clean up the content structure
-        const text = contentElement;
-        conversationText += formatConversationText(roleName, text);
-      } else if (role) {
-        // Fallback for turns where the text structure isn't as expected, but the role is known.
-        const text = article.textContent;
-        conversationText += formatConversationText(roleName, text);
-      }
-    });
+    while (stableRounds < 2) {
+      const links = [...document.querySelectorAll(adapter.sidebarLinkSelector)];
+      const before = found.size;
+      links.forEach((link) => {
+        const id = getConversationId(adapter, new URL(link.href, window.location.href).pathname);
+        if (id && !found.has(id)) {
+          found.set(id, { id, href: link.href, title: link.textContent.trim() || id });
+        }
+      });
 
-    return conversationText;
+      stableRounds = found.size === before ? stableRounds + 1 : 0;
+      // Scrolling the last entry into view makes the sidebar load older chats
+      links[links.length - 1]?.scrollIntoView({ block: "end" });
+      await delay(1000);
+    }
+    return [...found.values()];
   }
 
-  function createFileContent(conversationText) {
-    let content = `# Chat Conversation Export\n\n`;
-    let currDate = new Date().toISOString().slice(0, 10);
-    content += `**Date:** ${currDate}\n\n---\n\n`;
-    content += conversationText;
+  /**
+   * Waits until the conversation with the given ID has replaced the previous one and its turns stopped changing.
+   */
+  async function waitForConversationToRender(adapter, conversationId, previousFirstTurn) {
+    const deadline = Date.now() + BULK_RENDER_TIMEOUT;
+    let lastCount = -1;
+    let stableSince = Date.now();
 
-    return content;
+    while (Date.now() < deadline) {
+      const turns = document.querySelectorAll(adapter.turnSelector);
+      const isNewChat = getConversationId(adapter, window.location.pathname) === conversationId &&
+        turns.length > 0 && (!previousFirstTurn || !previousFirstTurn.isConnected || turns[0] !== previousFirstTurn);
+
+      if (!isNewChat || turns.length !== lastCount) {
+        lastCount = isNewChat ? turns.length : -1;
+        stableSince = Date.now();
+      } else if (Date.now() - stableSince > BULK_SETTLE_MS) {
+        return true;
+      }
+      await delay(250);
+    }
+    return false;
   }
 
-  function createFileName() {
-    let fileName;
-    if (
-      window.currConversationTopic &&
-      window.currConversationTopic.trim() !== ""
-    ) {
-      fileName = window.currConversationTopic;
-    } else {
-      const userInput = prompt(
-        "What is the conversation about? (This will be used for the filename)"
-      );
-      if (userInput) {
-        // Clean the input by removing special characters and extra spaces
-        fileName = userInput
-          .trim()
-          .replace(/[^a-zA-Z0-9\s-]/g, "") // Remove special characters except spaces and hyphens
-          .replace(/\s+/g, " ") // Replace multiple spaces with single space
-          .replace(/\s/g, "_"); // Replace spaces with underscores
-        // Store for future use
-        window.currConversationTopic = fileName;
-      } else {
-        // If user cancels the prompt, return an empty string for failure
-        fileName = "";
+  /**
+   * Scrolls to the top of the conversation until no older turns load.
+   */
+  async function loadAllTurns(adapter) {
+    for (let round = 0; round < 20; round++) {
+      const turns = document.querySelectorAll(adapter.turnSelector);
+      turns[0]?.scrollIntoView({ block: "start" });
+      await delay(1000);
+      if (document.querySelectorAll(adapter.turnSelector).length === turns.length) {
+        return;
       }
     }
-    return fileName;
   }
 
-  function getActiveExtractor(hostname) {
-    switch (hostname) {
-      case "gemini.google.com":
-        return {
-          extractor: extractConversationText_Gemini,
-          turnSelector: GEMINI_TURN_SELECTOR,
-        };
-      case "chatgpt.com":
-        return {
-          extractor: extractConversationText_ChatGPT,
-          turnSelector: CHATGPT_TURN_SELECTOR,
-        };
-      default:
-        return {
-          extractor: () => {
-            alert("Unsupported site.");
-            return "";
-          },
-          turnSelector: "",
-        };
+  function showBulkProgress(text) {
+    let panel = document.getElementById(bulk_progress_id);
+    if (!panel) {
+      panel = document.createElement("div");
+      panel.id = bulk_progress_id;
+      Object.assign(panel.style, {
+        position: "fixed", bottom: "20px", left: "20px", zIndex: "10001", width: "320px",
+        backgroundColor: "#1e1f20", color: "#e3e3e3", border: "1px solid #444746", borderRadius: "8px",
+        padding: "12px 14px", fontSize: "0.9rem", boxShadow: "0 2px 8px rgba(0,0,0,0.4)"
+      });
+      const label = document.createElement("div");
+      const bar = document.createElement("progress");
+      Object.assign(bar.style, { width: "100%", margin: "8px 0" });
+      const cancelBtn = document.createElement("button");
+      cancelBtn.textContent = "Stop (resume later)";
+      Object.assign(cancelBtn.style, {
+        padding: "4px 10px", borderRadius: "12px", border: "1px solid #444746",
+        background: "transparent", color: "#e3e3e3", cursor: "pointer"
+      });
+      cancelBtn.onclick = () => {
+        bulkCancelled = true;
+        label.textContent = "Stopping after the current conversation…";
+      };
+      panel.append(label, bar, cancelBtn);
+      document.body.appendChild(panel);
     }
+    panel.firstChild.textContent = text;
+    return panel.querySelector("progress");
   }
 
-  // --- Main Extraction Function ---
-  function extractAndDownload(conversationExtractor, turnSelector, extension) {
-    // Step 1: Select all conversation turn containers.
-    const turnContainers = getConversationContainers(turnSelector);
+  function hideBulkProgress() {
+    document.getElementById(bulk_progress_id)?.remove();
+  }
 
-    if (turnContainers.length === 0) {
-      alert(
-        "The text search helped find a single turn, but the script couldn't select all turns based on the new structure. Extraction failed."
-      );
-      return;
+  async function saveBulkFile(file) {
+    const db = await openArchiveDb();
+    const tx = db.transaction("bulk_files", "readwrite");
+    tx.objectStore("bulk_files").put(file);
+    await idbPromise(tx);
+  }
+
+  // Chats that never rendered count as finished too, or the job could never complete
+  function countFinishedBulkItems(job) {
+    return job.doneIds.length + job.skippedIds.length + job.failedIds.length;
+  }
+
+  async function finishBulkExport(job) {
+    const db = await openArchiveDb();
+    const files = await idbPromise(db.transaction("bulk_files").objectStore("bulk_files").getAll());
+    const format = EXPORT_FORMATS[job.format];
+
+    if (files.length > 0) {
+      const manifest = {
+        platform: job.platform,
+        exportedAt: new Date().toISOString(),
+        format: job.format,
+        conversations: files.map(({ id, filename, title, url, turnCount }) => ({ id, filename, title, url, turnCount })),
+        skippedUnchanged: job.skippedIds,
+        failed: job.queue
+          .filter((item) => job.failedIds.includes(item.id))
+          .map(({ id, title, href }) => ({ id, title, url: href })),
+      };
+      const zip = createZip([
+        ...files.map((file) => ({ name: file.filename, content: file.content })),
+        { name: "index.json", content: JSON.stringify(manifest, null, 2) },
+      ]);
+      downloadFile(`${job.platform}_backup_${new Date().toISOString().slice(0, 10)}.zip`, "application/zip", zip);
     }
 
+    // Remember what this backup contained, so the next one can skip unchanged chats
+    const hashes = GM_getValue(STORAGE_KEY_BULK_HASHES, {});
+    files.forEach((file) => { hashes[`${job.platform}:${file.id}`] = file.hash; });
+    GM_setValue(STORAGE_KEY_BULK_HASHES, hashes);
+
+    const tx = db.transaction("bulk_files", "readwrite");
+    tx.objectStore("bulk_files").clear();
+    await idbPromise(tx);
+    GM_setValue(STORAGE_KEY_BULK_JOB, null);
+
     alert(
-      `Found ${turnContainers.length} conversation turns using the anchor element's structure! Proceeding with extraction.`
+      `Bulk export finished: ${files.length} conversations in the ZIP (${format.label})` +
+      (job.skippedIds.length ? `, ${job.skippedIds.length} unchanged skipped` : "") +
+      (job.failedIds.length ? `, ${job.failedIds.length} could not be opened (listed in index.json).` : ".")
     );
+  }
 
-    // Step 2: Extract text from each turn
-    let conversationText = conversationExtractor(turnContainers);
-    console.log(`Conversation extracted: ${conversationText}`);
+  async function runBulkExport(adapter) {
+    let job = GM_getValue(STORAGE_KEY_BULK_JOB, null);
+    if (job && job.platform === adapter.platform) {
+      const remaining = job.queue.length - countFinishedBulkItems(job);
+      if (!confirm(`Resume the unfinished bulk export? ${remaining} of ${job.queue.length} conversations left.\n\nCancel = start over.`)) {
+        job = null;
+      }
+    } else {
+      job = null;
+    }
 
-    // if (conversationText.length < 50) {
-    //   alert(
-    //     "Extracted text is too short or empty. The selector might be wrong, or the conversation wasn't loaded."
-    //   );
-    //   return;
-    // }
+    if (!job) {
+      if (EXPORT_FORMATS[exportFormat].opensPrintDialog) {
+        alert(`${EXPORT_FORMATS[exportFormat].label} opens the print dialog for one conversation at a time. Pick another format for Bulk Export.`);
+        return;
+      }
+      // Files of an abandoned job (or one from another site) don't belong in the new ZIP
+      const db = await openArchiveDb();
+      const tx = db.transaction("bulk_files", "readwrite");
+      tx.objectStore("bulk_files").clear();
+      await idbPromise(tx);
 
-    // Step 3: Add any needed filler
-    let mdContent = createFileContent(conversationText);
-    console.log("File content created.");
+      showBulkProgress("Collecting conversations from the sidebar…");
+      const queue = await collectSidebarConversations(adapter);
+      if (queue.length === 0) {
+        hideBulkProgress();
+        alert("Could not find any conversations in the sidebar. Open the sidebar and try again.");
+        return;
+      }
+      const onlyChanged = Object.keys(GM_getValue(STORAGE_KEY_BULK_HASHES, {})).length > 0 &&
+        confirm(`Found ${queue.length} conversations.\n\nOK = only include chats that changed since the last bulk export\nCancel = include everything`);
+      job = {
+        startedAt: new Date().toISOString(),
+        platform: adapter.platform,
+        format: exportFormat,
+        onlyChanged,
+        queue,
+        doneIds: [],
+        skippedIds: [],
+        failedIds: [],
+      };
+      GM_setValue(STORAGE_KEY_BULK_JOB, job);
+    }
 
-    // Step 4: Download the file as a .md
+    bulkCancelled = false;
+    bulkExportActive = true;
+    try {
+      const format = EXPORT_FORMATS[job.format];
+      const previousHashes = GM_getValue(STORAGE_KEY_BULK_HASHES, {});
+      const usedNames = new Set();
 
-    let filename = createFileName();
-    filename += extension;
-    if (!filename) {
-      alert("Topic is required. Extraction cancelled.");
-      return;
-    }
-    let element = document.createElement("a");
-    element.setAttribute(
-      "href",
-      "data:text/markdown;charset=utf-8," + encodeURIComponent(mdContent)
-    );
-    element.setAttribute("download", filename);
-    console.log("File created.");
-    console.log("Filename: " + filename);
+      for (const item of job.queue) {
+        if (bulkCancelled) break;
+        if ([job.doneIds, job.skippedIds, job.failedIds].some((ids) => ids.includes(item.id))) continue;
 
-    // Simulate a click to trigger the download
-    element.style.display = "none";
-    document.body.appendChild(element);
-    element.click();
-    document.body.removeChild(element);
+        const position = countFinishedBulkItems(job) + 1;
+        const bar = showBulkProgress(`Exporting ${position}/${job.queue.length}: ${item.title}`);
+        bar.max = job.queue.length;
+        bar.value = position - 1;
 
-    alert(
-      `Conversation exported successfully to ${filename}! Open with any text editor to view.`
-    );
+        // Open the chat through its sidebar link, so the app navigates without a reload
+        const previousFirstTurn = document.querySelector(adapter.turnSelector);
+        const link = [...document.querySelectorAll(adapter.sidebarLinkSelector)].find((a) => a.href === item.href);
+        if (link) {
+          link.click();
+        } else {
+          history.pushState({}, "", item.href);
+          window.dispatchEvent(new PopStateEvent("popstate"));
+        }
+
+        if (!(await waitForConversationToRender(adapter, item.id, previousFirstTurn))) {
+          console.warn(`[BulkExport] ${item.title} did not render in time, skipping it.`);
+          job.failedIds.push(item.id);
+          GM_setValue(STORAGE_KEY_BULK_JOB, job);
+          continue;
+        }
+        await loadAllTurns(adapter);
+
+        const turns = collectConversationTurns(adapter);
+        const hash = hashString(JSON.stringify(turns.map((turn) => [turn.role, turn.markdown])));
+
+        if (job.onlyChanged && previousHashes[`${adapter.platform}:${item.id}`] === hash) {
+          job.skippedIds.push(item.id);
+        } else {
+          const conversation = {
+            platform: adapter.platform,
+            url: window.location.href,
+            title: item.title,
+            exportedAt: new Date().toISOString(),
+            turns,
+          };
+          if (format.isNote) {
+            await addNoteMetadata(conversation, adapter);
+          }
+
+          let filename = format.isNote
+            ? createNoteFileName(conversation)
+            : `${sanitizeFileName(item.title) || adapter.platform}_${item.id.slice(0, 8)}`;
+          while (usedNames.has(filename)) filename += "_";
+          usedNames.add(filename);
+
+          // Formats that bundle files produce a ZIP of their own
+          let content = format.createContent(conversation);
+          if (content instanceof Blob) {
+            content = new Uint8Array(await content.arrayBuffer());
+          }
+          await saveBulkFile({
+            id: item.id,
+            filename: filename + format.extension,
+            title: item.title,
+            url: conversation.url,
+            turnCount: turns.length,
+            hash,
+            content,
+          });
+          job.doneIds.push(item.id);
+        }
+        GM_setValue(STORAGE_KEY_BULK_JOB, job);
+      }
+    } finally {
+      bulkExportActive = false;
+    }
+
+    hideBulkProgress();
+    const finished = countFinishedBulkItems(job);
+    if (finished < job.queue.length) {
+      alert(`Bulk export paused at ${finished}/${job.queue.length}. Click "Bulk Export" again to resume.`);
+      return;
+    }
+    await finishBulkExport(job);
   }
 
-  // Calculate turns based on platform
-  function calculateTurnCount(selector) {
-    const containers = document.querySelectorAll(selector);
+  // Calculate turns based on platform, with the built-in or learned selectors
+  function calculateTurnCount(adapter) {
+    if (!adapter) return 0;
+    const containers = document.querySelectorAll(adapter.turnSelector);
     if (!containers.length) return 0;
 
-    // For ChatGPT, each container is one turn
-    if (
-      window.location.hostname.includes("chatgpt.com") ||
-      window.location.hostname.includes("chat.openai.com")
-    ) {
-      return containers.length;
-    }
     // For Gemini, each container has both user and model response
-    return containers.length * 2;
+    if (adapter.messageSelector) {
+      return containers.length * 2;
+    }
+    // Elsewhere, each container is one turn
+    return containers.length;
   }
 
   // --- Safety Guard ---
-  function activateSafetyGuard(turnSelector) {
-    const turnCount = calculateTurnCount(turnSelector);
+  // Long conversations are protected from accidental reloads and closes. The listeners are added once
+  // and look at the conversation when they fire, so they don't pile up as the page changes.
+  const DEFAULT_SAFETY_GUARD = {
+    enabled: true,
+    minTurns: 20,
+    shortcuts: ["reload", "close"],
+    autoExportOnUnload: false, // Also download a Markdown copy when the leave prompt comes up
+    saveDrafts: true,
+  };
+  const isShortcutModifier = (e) => e.ctrlKey || e.metaKey;
+  const isEditableTarget = (target) => Boolean(target.isContentEditable || target.closest?.("input, textarea"));
+  const GUARD_SHORTCUTS = {
+    reload: {
+      label: "Reload (Ctrl+R, F5)",
+      question: "Reload this page?",
+      matches: (e) => e.key === "F5" || (isShortcutModifier(e) && e.key.toLowerCase() === "r"),
+      run: () => window.location.reload(),
+    },
+    close: {
+      label: "Close tab (Ctrl+W)",
+      question: "Close this tab?",
+      matches: (e) => isShortcutModifier(e) && e.key.toLowerCase() === "w",
+      run: () => window.close(),
+    },
+    back: {
+      label: "Back (Alt+←)",
+      question: "Go back?",
+      // Alt+← also moves the cursor a word left on macOS, so leave it to text fields
+      matches: (e) => e.altKey && e.key === "ArrowLeft" && !isEditableTarget(e.target),
+      run: () => history.back(),
+    },
+  };
+  let guardBypassed = false; // The user already confirmed leaving through a shortcut
 
-    if (turnCount >= MIN_TURNS_FOR_GUARD) {
-      console.log(
-        `Conversation has ${turnCount} turns. Activating Safety Guard.`
-      );
+  function getSafetyGuardSettings() {
+    return { ...DEFAULT_SAFETY_GUARD, ...GM_getValue(STORAGE_KEY_SAFETY_GUARD, {}) };
+  }
+
+  /**
+   * The conversation's turn count when it is long enough to guard, else 0.
+   */
+  function getGuardedTurnCount(settings) {
+    if (!settings.enabled) return 0;
+    const turnCount = calculateTurnCount(getMatchingAdapter(activeAdapter));
+    return turnCount >= settings.minTurns ? turnCount : 0;
+  }
+
+  // There's no time to ask for a topic while the page unloads, so the file is named after the chat
+  function exportOnUnload() {
+    const turns = collectConversationTurns(activeAdapter);
+    if (turns.length === 0) return;
+
+    const conversation = {
+      platform: activeAdapter.platform,
+      url: window.location.href,
+      title: getCapturedTitle(activeAdapter) || document.title.trim(),
+      exportedAt: new Date().toISOString(),
+      turns,
+    };
+    const filename = `${sanitizeFileName(getNoteTitle(conversation)) || activeAdapter.platform}_${conversation.exportedAt.slice(0, 10)}`;
+    downloadFile(filename + EXPORT_FORMATS.md.extension, EXPORT_FORMATS.md.mimeType, EXPORT_FORMATS.md.createContent(conversation));
+    console.log(`[SafetyGuard] Exported ${turns.length} turns before leaving.`);
+  }
+
+  function installSafetyGuard() {
+    window.addEventListener("beforeunload", (e) => {
+      saveDraft();
 
-      // 1. Before Unload Confirmation
-      const handleBeforeUnload = function (e) {
+      const settings = getSafetyGuardSettings();
+      const turnCount = getGuardedTurnCount(settings);
+      if (!turnCount) return;
+
+      // Asked even with auto-export on: the prompt keeps the page alive while the download starts,
+      // browsers drop downloads from a page that's already gone. Confirmed shortcuts exported already.
+      if (!guardBypassed) {
+        if (settings.autoExportOnUnload) {
+          exportOnUnload();
+        }
         const message = `WARNING! This ${turnCount}-turn conversation is long. Are you sure you want to leave?`;
         e.preventDefault();
         e.returnValue = message; // Standard for most browsers
         return message; // For some older browsers
-      };
+      }
+    });
 
-      // 2. Keyboard Shortcut Prevention
-      const handleKeyDown = function (e) {
-        if (!e.ctrlKey) return;
-
-        if (e.key === "r" || e.key === "R" || e.keyCode === 82) {
-          // Ctrl+R
-          if (
-            confirm(
-              `Reload this page? You have a ${turnCount}-turn conversation that will be lost.`
-            )
-          ) {
-            window.removeEventListener("beforeunload", handleBeforeUnload);
-            window.location.reload();
-          }
-          e.preventDefault();
-          e.stopPropagation();
-        } else if (e.key === "w" || e.key === "W" || e.keyCode === 87) {
-          // Ctrl+W
-          if (
-            confirm(
-              `Close this tab? You have a ${turnCount}-turn conversation that will be lost.`
-            )
-          ) {
-            window.removeEventListener("beforeunload", handleBeforeUnload);
-            window.close();
-          }
-          e.preventDefault();
-          e.stopPropagation();
+    document.addEventListener("keydown", (e) => {
+      const settings = getSafetyGuardSettings();
+      const shortcut = settings.shortcuts
+        .map((name) => GUARD_SHORTCUTS[name])
+        .find((candidate) => candidate && candidate.matches(e));
+      const turnCount = shortcut && getGuardedTurnCount(settings);
+      if (!turnCount) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      if (confirm(`${shortcut.question} You have a ${turnCount}-turn conversation that will be lost.`)) {
+        guardBypassed = true;
+        if (settings.autoExportOnUnload) {
+          exportOnUnload();
         }
-      };
+        shortcut.run();
+        // Going back in a single-page app doesn't unload anything
+        setTimeout(() => { guardBypassed = false; }, 1000);
+      }
+    }, true);
+  }
 
-      // Add event listeners
-      window.addEventListener("beforeunload", handleBeforeUnload);
-      document.addEventListener("keydown", handleKeyDown, true);
+  // --- Drafts ---
+  // The unsent message is saved while it's typed and offered back on the next visit to the conversation.
+  // Shape: { ["platform:conversationId" | "platform:new"]: { text, savedAt } }
+  const DRAFT_SAVE_DEBOUNCE_MS = 500;
+  const MAX_DRAFTS = 50; // Only the newest drafts are kept
+  let draftTimer = null;
+  let savedDraft = { key: "", text: "" }; // What this page last wrote, so an empty box doesn't wipe a draft it never saw
 
-      // Return cleanup function in case you want to remove the guard later
-      return () => {
-        window.removeEventListener("beforeunload", handleBeforeUnload);
-        document.removeEventListener("keydown", handleKeyDown, true);
-      };
+  function getDraftKey() {
+    return getConversationKey() || `${activeAdapter.platform}:new`;
+  }
+
+  /**
+   * @returns {string | null} Null while the message box isn't on the page.
+   */
+  function readComposerText() {
+    const composer = composerSelector && document.querySelector(composerSelector);
+    if (!composer) return null;
+    return composer instanceof HTMLTextAreaElement ? composer.value : composer.innerText;
+  }
+
+  function saveDraft() {
+    clearTimeout(draftTimer);
+    const text = readComposerText();
+    const key = getDraftKey();
+    if (text === null || !getSafetyGuardSettings().saveDrafts || (key === savedDraft.key && text === savedDraft.text)) {
+      return;
+    }
+
+    const drafts = GM_getValue(STORAGE_KEY_DRAFTS, {});
+    if (savedDraft.text) {
+      delete drafts[savedDraft.key];
+    }
+    if (text.trim()) {
+      drafts[key] = { text, savedAt: new Date().toISOString() };
+      Object.keys(drafts)
+        .sort((a, b) => drafts[b].savedAt.localeCompare(drafts[a].savedAt))
+        .slice(MAX_DRAFTS)
+        .forEach((oldKey) => delete drafts[oldKey]);
+    }
+    GM_setValue(STORAGE_KEY_DRAFTS, drafts);
+    savedDraft = { key, text };
+  }
+
+  function scheduleDraftSave() {
+    clearTimeout(draftTimer);
+    draftTimer = setTimeout(saveDraft, DRAFT_SAVE_DEBOUNCE_MS);
+  }
+
+  async function offerDraftRestore() {
+    const key = getDraftKey();
+    // The message box renders after the script starts
+    for (let tries = 0; readComposerText() === null && tries < 20; tries++) {
+      await delay(500);
+    }
+    const draft = GM_getValue(STORAGE_KEY_DRAFTS, {})[key];
+    if (!draft || key !== getDraftKey() || !getSafetyGuardSettings().saveDrafts || readComposerText()?.trim()) {
+      return;
+    }
+
+    const preview = draft.text.replace(/\s+/g, " ").trim();
+    showToast(
+      `Unsent draft from ${new Date(draft.savedAt).toLocaleString()}: "${preview.length > 80 ? preview.slice(0, 80) + "…" : preview}"`,
+      {
+        label: "Restore",
+        run: () => {
+          if (insertIntoComposer(composerSelector, draft.text)) {
+            savedDraft = { key, text: draft.text };
+          }
+        },
+      }
+    );
+  }
+
+  function onDraftUrlChange() {
+    // A save still pending would read the new URL and file the old conversation's text under it
+    clearTimeout(draftTimer);
+    // A new chat gets its URL once the first message is sent, so its draft is done with
+    if (savedDraft.key.endsWith(":new") && savedDraft.text && !readComposerText()?.trim()) {
+      const drafts = GM_getValue(STORAGE_KEY_DRAFTS, {});
+      delete drafts[savedDraft.key];
+      GM_setValue(STORAGE_KEY_DRAFTS, drafts);
     }
-    return () => { }; // No-op cleanup function
+    savedDraft = { key: getDraftKey(), text: "" };
+    offerDraftRestore();
   }
 
   // --- Script Initialization ---
   let currConversationTopic = "";
   let hasCheckedForConversation = false;
   let addedButtonContainer = false;
-  let extension = ".md";
-  const MIN_TURNS_FOR_GUARD = 20;
-  const GEMINI_TURN_SELECTOR = ".conversation-container";
-  const CHATGPT_TURN_SELECTOR = 'article[data-testid^="conversation-turn-"]';
-  // At the top level, get the extractor and selector
-  const { extractor, turnSelector } = getActiveExtractor(
-    window.location.hostname
-  );
-
-  // Initialize the safety guard
-  let cleanupSafetyGuard = () => { };
+  let exportFormat = "md";
+  let includeBranches = false; // Export every regenerated/edited version, not just the visible one
+  const JSON_SCHEMA_VERSION = 2; // v2: optional variants on forked turns
+  const AUTO_ARCHIVE = true; // Snapshot conversations into IndexedDB as they grow
+  // At the top level, get the adapter and its selectors
+  const activeAdapter = getActiveAdapter(window.location.hostname);
+  const { composerSelector } = activeAdapter;
 
   // Create a button to trigger the export
   const exportButton = document.createElement("button");
-  exportButton.innerText = `Export Conversation (${extension})`;
+  exportButton.innerText = "Export Conversation";
   exportButton.style.cssText = `
         z-index: 9999;
         padding: 8px 12px;
@@ -725,11 +5942,52 @@ Answer concisely and accurately.
         box-shadow: 0 2px 4px rgba(0,0,0,0.2);
     `;
   exportButton.onclick = () =>
-    extractAndDownload(extractor, turnSelector, extension);
+    extractAndDownload(activeAdapter, exportFormat).catch((error) => {
+      console.error("[Export] Failed:", error);
+      alert("Export failed.");
+    });
+
+  // Pick the export format
+  const formatSelect = document.createElement("select");
+  Object.entries(EXPORT_FORMATS).forEach(([key, format]) => {
+    formatSelect.add(new Option(`${format.label} (${format.extension})`, key));
+  });
+  formatSelect.value = exportFormat;
+  formatSelect.onchange = () => {
+    exportFormat = formatSelect.value;
+  };
+  formatSelect.style.cssText = `
+        margin-left: 6px;
+        padding: 7px 6px;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+    `;
+
+  // Include alternative versions of messages
+  const branchesLabel = document.createElement("label");
+  const branchesCheckbox = document.createElement("input");
+  branchesCheckbox.type = "checkbox";
+  branchesCheckbox.onchange = () => {
+    includeBranches = branchesCheckbox.checked;
+  };
+  branchesLabel.append(branchesCheckbox, " Branches");
+  branchesLabel.title = "Also export regenerated answers and edited prompts (clicks through every version)";
+  branchesLabel.style.cssText = `
+        margin-left: 6px;
+        padding: 7px 8px;
+        background-color: white;
+        color: #1f1f1f;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.85rem;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+    `;
 
   // Create a button to trigger the import
   const importButton = document.createElement("button");
-  importButton.innerText = `Import Conversation (${extension})`;
+  importButton.innerText = `Import Conversation (${EXPORT_FORMATS.md.extension})`;
   importButton.style.cssText = `
         padding: 8px 12px;
         background-color: #4285F4;
@@ -740,13 +5998,73 @@ Answer concisely and accurately.
         font-weight: bold;
         box-shadow: 0 2px 4px rgba(0,0,0,0.2);
     `;
-  importButton.onclick = () => {
-    alert("Import not implemented yet.");
+  importButton.onclick = () => importConversation(composerSelector, EXPORT_FORMATS.md.extension);
+
+  // Create a button to recover archived conversations
+  const archiveButton = document.createElement("button");
+  archiveButton.innerText = "🗄️";
+  archiveButton.title = "Recover an archived conversation";
+  archiveButton.style.cssText = `
+        margin-left: 6px;
+        padding: 8px 10px;
+        background-color: #4285F4;
+        color: white;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+    `;
+  archiveButton.onclick = () =>
+    recoverArchivedConversation(exportFormat).catch((error) => {
+      console.error("[Archive] Recovery failed:", error);
+      alert("Could not read the archive.");
+    });
+
+  // Create buttons to save to and open the library
+  const saveToLibraryButton = document.createElement("button");
+  saveToLibraryButton.innerText = "Save to Library";
+  saveToLibraryButton.style.cssText = exportButton.style.cssText + "margin-left: 6px;";
+  saveToLibraryButton.onclick = () =>
+    saveToLibrary(activeAdapter).catch((error) => {
+      console.error("[Library] Save failed:", error);
+      alert("Could not save to the library.");
+    });
+
+  const libraryButton = document.createElement("button");
+  libraryButton.innerText = "📚";
+  libraryButton.title = "Search the library";
+  libraryButton.style.cssText = archiveButton.style.cssText;
+  libraryButton.onclick = () =>
+    openLibrary().catch((error) => {
+      console.error("[Library] Could not open:", error);
+      alert("Could not read the library.");
+    });
+
+  // Create a button to export every conversation in the sidebar
+  const bulkExportButton = document.createElement("button");
+  bulkExportButton.innerText = "Bulk Export";
+  bulkExportButton.title = "Export every conversation in the sidebar into one ZIP";
+  bulkExportButton.style.cssText = archiveButton.style.cssText;
+  bulkExportButton.onclick = () => {
+    // A second run would navigate alongside the first, or clear its files when "Resume?" is cancelled
+    bulkExportButton.disabled = true;
+    runBulkExport(activeAdapter)
+      .catch((error) => {
+        hideBulkProgress();
+        console.error("[BulkExport] Failed:", error);
+        alert("Bulk export failed. Click \"Bulk Export\" again to resume.");
+      })
+      .finally(() => {
+        bulkExportButton.disabled = false;
+      });
   };
 
   const buttonsContainer = document.createElement("div");
   // buttonsContainer.appendChild(exportButton);
-  buttonsContainer.appendChild(importButton);
+  buttonsContainer.append(importButton, libraryButton, archiveButton);
+  if (activeAdapter.sidebarLinkSelector) {
+    buttonsContainer.appendChild(bulkExportButton);
+  }
   buttonsContainer.style.cssText = `
     position: fixed;
     right: 40%;
@@ -755,14 +6073,25 @@ Answer concisely and accurately.
   `;
 
   const swapButtons = () => {
-    buttonsContainer.removeChild(importButton);
-    buttonsContainer.appendChild(exportButton);
+    importButton.replaceWith(exportButton, formatSelect, saveToLibraryButton);
+    if (activeAdapter.variantNavigator) {
+      formatSelect.after(branchesLabel);
+    }
   };
 
-  function setupConversationObserver(turnSelector) {
-    // Capture the conversation container
+  // Only check and swap once
+  function checkForConversation() {
+    if (!hasCheckedForConversation && calculateTurnCount(getMatchingAdapter(activeAdapter)) > 0) {
+      hasCheckedForConversation = true;
+      swapButtons();
+    }
+  }
+
+  function setupConversationObserver() {
+    // Capture the conversation container, falling back to selectors learned on an earlier export
+    const adapter = getMatchingAdapter(activeAdapter);
     const conversationContainer =
-      document.querySelector(turnSelector)?.parentElement;
+      adapter && document.querySelector(adapter.turnSelector)?.parentElement;
     if (!conversationContainer) {
       return false;
     }
@@ -770,24 +6099,39 @@ Answer concisely and accurately.
     // Attach the conversationObserver to check when new messages are added
     console.log("Found Conversation Container");
     new MutationObserver(() => {
-      // Activate the safety guard if needed
-      console.log("Checking safety guard");
-      cleanupSafetyGuard =
-        activateSafetyGuard(turnSelector) || cleanupSafetyGuard;
+      // Sites clear the message box themselves once it's sent
+      scheduleDraftSave();
+      addTurnControls();
 
-      // Only check and swap once
-      if (!hasCheckedForConversation) {
-        const turnCount = calculateTurnCount(turnSelector);
-        if (turnCount > 0) {
-          hasCheckedForConversation = true;
-          swapButtons();
-        }
-      }
+      // Snapshot the conversation once things settle down
+      scheduleArchive();
+      scheduleMemoryScan();
+      checkForConversation();
     }).observe(conversationContainer, { childList: true, subtree: true });
+    addTurnControls();
+    // The conversation may be fully rendered already
+    checkForConversation();
 
     return true;
   }
 
+  // The chat apps are single-page apps, so watch for the URL changing under us
+  const urlChangeListeners = [
+    updateSettingsButton,
+    () => adoptPendingInjectionState(getConversationKey()),
+    scheduleArchive,
+    onDraftUrlChange,
+  ];
+  function watchUrlChanges() {
+    let lastUrl = window.location.href;
+    new MutationObserver(() => {
+      if (window.location.href !== lastUrl) {
+        lastUrl = window.location.href;
+        urlChangeListeners.forEach((listener) => listener(lastUrl));
+      }
+    }).observe(document.body, { childList: true, subtree: true });
+  }
+
   // Wait for the body to be available
   new MutationObserver((mutations, observer) => {
     if (document.body) {
@@ -796,10 +6140,22 @@ Answer concisely and accurately.
         addedButtonContainer = true;
         // Initialize UI on load
         createUI();
+        watchUrlChanges();
+        installSafetyGuard();
+        offerDraftRestore();
+        document.addEventListener("input", (e) => {
+          if (composerSelector && e.target.closest?.(composerSelector)) {
+            scheduleDraftSave();
+          }
+        }, true);
+
+        if (GM_getValue(STORAGE_KEY_BULK_JOB, null)?.platform === activeAdapter.platform) {
+          showToast('An unfinished bulk export can be resumed with the "Bulk Export" button.');
+        }
       }
 
       // Try to set up conversation observer
-      if (setupConversationObserver(turnSelector)) {
+      if (setupConversationObserver()) {
         observer.disconnect(); // Stop observing once we're set up
       }
     }